@@ -0,0 +1,211 @@
+// file: src/autopaint.js
+// Rule-based texture painting: every layer gets a height band, slope range,
+// curvature range and noise breakup, and each vertex's mask weights (one per
+// texture layer, see texlayers.js) are computed from them. Rules apply in list
+// order, each covering the ones before it by its weight (the first rule is the
+// base, the last wins on top).
+//
+// Settings live on appState.autoPaint and are saved with the project (rule keys are
+// texture layer keys; rules whose layer was removed are skipped):
+//   { keepHandPaint, rules: [{ key, enabled, height: [lo, hi], heightSoft, seaRelative,
+//     slope: [lo, hi] (degrees), slopeSoft, curvature: [lo, hi], curvatureSoft,
+//     noise, noiseScale, strength }] }
+// Curvature is (height - mean of the neighbours two cells away) / that distance:
+// positive on ridges and crests, negative in valleys and gullies.
+// With keepHandPaint on, vertices painted by hand (paintLock attribute, see
+// texturepaint.js) and roads that painted a texture keep their weights.
+
+import { deriveSeed } from './random.js';
+import { MASK_NAMES, layerByKey, baseLayer } from './texlayers.js';
+
+const N = MASK_NAMES.length;
+const OPEN = 1e4; // "no limit" for a range end
+
+export function makeRule(over = {}) {
+  return {
+    key: 'sand', enabled: true,
+    height: [-OPEN, OPEN], heightSoft: 10, seaRelative: false,
+    slope: [0, 90], slopeSoft: 4,
+    curvature: [-OPEN, OPEN], curvatureSoft: 0.05,
+    noise: 0, noiseScale: 96,
+    strength: 1,
+    ...over,
+  };
+}
+
+// Sand everywhere, dry ground on high flat ground, coast sand along the water,
+// sandstone on anything steep
+export function defaultAutoPaint() {
+  return {
+    keepHandPaint: true,
+    rules: [
+      makeRule({ key: 'sand' }),
+      makeRule({ key: 'dryground', height: [40, OPEN], heightSoft: 20, slope: [0, 16], slopeSoft: 5, noise: 0.5, noiseScale: 128 }),
+      makeRule({ key: 'coastsand', height: [-OPEN, 6], heightSoft: 5, seaRelative: true, slope: [0, 28], slopeSoft: 6, noise: 0.3, noiseScale: 48 }),
+      makeRule({ key: 'sandstone', slope: [32, 90], slopeSoft: 6, noise: 0.3, noiseScale: 64 }),
+    ],
+  };
+}
+
+// Validate auto paint settings read from a project manifest
+export function normalizeAutoPaint(s) {
+  const out = defaultAutoPaint();
+  if (!s || typeof s !== 'object') return out;
+  if (typeof s.keepHandPaint === 'boolean') out.keepHandPaint = s.keepHandPaint;
+  if (!Array.isArray(s.rules)) return out;
+  const num = (v, d) => (Number.isFinite(v) ? v : d);
+  const range = (v, d) => (Array.isArray(v) && v.length === 2 ? [num(v[0], d[0]), num(v[1], d[1])] : d);
+  out.rules = s.rules.filter(r => typeof r?.key === 'string').map((r) => {
+    const d = makeRule({ key: r.key });
+    return makeRule({
+      key: r.key,
+      enabled: r.enabled !== false,
+      height: range(r.height, d.height), heightSoft: Math.max(0, num(r.heightSoft, d.heightSoft)),
+      seaRelative: !!r.seaRelative,
+      slope: range(r.slope, d.slope), slopeSoft: Math.max(0, num(r.slopeSoft, d.slopeSoft)),
+      curvature: range(r.curvature, d.curvature), curvatureSoft: Math.max(0, num(r.curvatureSoft, d.curvatureSoft)),
+      noise: Math.min(1, Math.max(0, num(r.noise, 0))),
+      noiseScale: Math.max(1, num(r.noiseScale, d.noiseScale)),
+      strength: Math.min(1, Math.max(0, num(r.strength, 1))),
+    });
+  });
+  return out;
+}
+
+// ---------- weights ----------
+const smoothstep = (a, b, x) => {
+  if (a === b) return x < a ? 0 : 1;
+  const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+  return t * t * (3 - 2 * t);
+};
+
+// 1 inside [lo, hi], easing to 0 over `soft` on either side (open ends stay 1)
+function band(v, [lo, hi], soft) {
+  const a = lo <= -OPEN ? 1 : smoothstep(lo - soft, lo + soft, v);
+  const b = hi >= OPEN ? 1 : 1 - smoothstep(hi - soft, hi + soft, v);
+  return a * b;
+}
+
+function hash2(x, y, seed) {
+  let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ seed;
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function valueNoise(x, y, seed) {
+  const xi = Math.floor(x), yi = Math.floor(y);
+  const fx = x - xi, fy = y - yi;
+  const u = fx * fx * (3 - 2 * fx), v = fy * fy * (3 - 2 * fy);
+  const a = hash2(xi, yi, seed), b = hash2(xi + 1, yi, seed);
+  const c = hash2(xi, yi + 1, seed), d = hash2(xi + 1, yi + 1, seed);
+  return (a + (b - a) * u) * (1 - v) + (c + (d - c) * u) * v;
+}
+
+/**
+ * Per-vertex slope (degrees) and curvature of the terrain, from central differences.
+ */
+export function terrainMetrics(geom) {
+  const { width, widthSegments, heightSegments } = geom.parameters;
+  const vpr = widthSegments + 1, rows = heightSegments + 1;
+  const cell = width / widthSegments;
+  const pos = geom.attributes.position.array;
+  const h = (c, r) => pos[(Math.min(rows - 1, Math.max(0, r)) * vpr + Math.min(vpr - 1, Math.max(0, c))) * 3 + 1];
+  const slope = new Float32Array(vpr * rows);
+  const curvature = new Float32Array(vpr * rows);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < vpr; c++) {
+      const dx = (h(c + 1, r) - h(c - 1, r)) / (2 * cell);
+      const dz = (h(c, r + 1) - h(c, r - 1)) / (2 * cell);
+      const i = r * vpr + c;
+      slope[i] = Math.atan(Math.hypot(dx, dz)) * 180 / Math.PI;
+      const mean = (h(c + 2, r) + h(c - 2, r) + h(c, r + 2) + h(c, r - 2)) / 4;
+      curvature[i] = (h(c, r) - mean) / (2 * cell);
+    }
+  }
+  return { slope, curvature };
+}
+
+/**
+ * Weights for every vertex: Float32Array(count * MASK_NAMES.length), interleaved in
+ * mask order.
+ */
+export function computeAutoWeights(appState, settings = appState.autoPaint) {
+  const geom = appState.terrainMesh.geometry;
+  const { width, height, widthSegments } = geom.parameters;
+  const vpr = widthSegments + 1;
+  const cell = width / widthSegments;
+  const pos = geom.attributes.position.array;
+  const count = pos.length / 3;
+  const { slope, curvature } = terrainMetrics(geom);
+  const sea = appState.water?.level ?? 0;
+  const out = new Float32Array(count * N);
+
+  for (const rule of settings.rules) {
+    const layer = layerByKey(appState, rule.key);
+    if (!layer || !rule.enabled || rule.strength <= 0) continue;
+    const m = layer.mask;
+    const seed = deriveSeed(appState.config.SEED, `autopaint:${rule.key}`);
+    const offset = rule.seaRelative ? sea : 0;
+    const hr = [rule.height[0] + (rule.height[0] <= -OPEN ? 0 : offset), rule.height[1] + (rule.height[1] >= OPEN ? 0 : offset)];
+    for (let i = 0; i < count; i++) {
+      let w = band(pos[i * 3 + 1], hr, rule.heightSoft)
+        * band(slope[i], rule.slope, rule.slopeSoft)
+        * band(curvature[i], rule.curvature, rule.curvatureSoft);
+      if (w > 0 && rule.noise > 0) {
+        // two octaves, in world units so the pattern doesn't depend on the grid
+        const c = i % vpr, r = (i - c) / vpr;
+        const x = (c * cell - width / 2) / rule.noiseScale, z = (r * cell - height / 2) / rule.noiseScale;
+        const n = 0.67 * valueNoise(x, z, seed) + 0.33 * valueNoise(x * 2.1 + 17.3, z * 2.1 - 5.1, seed);
+        w = Math.min(1, Math.max(0, w * (1 + rule.noise * (2 * n - 1) * 1.5)));
+      }
+      w *= rule.strength;
+      if (w <= 0) continue;
+      // cover what the earlier rules laid down
+      const o = i * N;
+      for (let k = 0; k < N; k++) out[o + k] *= 1 - w;
+      out[o + m] += w;
+    }
+  }
+  return out;
+}
+
+/**
+ * Write the rule weights into the masks. Vertices with no rule coverage fall back
+ * to the base layer so nothing is left unpainted.
+ * Returns the number of vertices written.
+ */
+export function applyAutoPaint(appState, settings = appState.autoPaint) {
+  const geom = appState.terrainMesh?.geometry;
+  if (!geom) throw new Error('[autopaint] No terrain to paint.');
+  const attrs = MASK_NAMES.map(n => geom.getAttribute(n));
+  if (attrs.some(a => !a)) throw new Error('[autopaint] Texture masks are not attached.');
+  if (!settings.rules.some(r => r.enabled && layerByKey(appState, r.key))) throw new Error('[autopaint] Enable at least one rule.');
+  const fallback = baseLayer(appState)?.mask ?? 0;
+
+  const weights = computeAutoWeights(appState, settings);
+  const count = attrs[0].count;
+  const keep = new Uint8Array(count);
+  if (settings.keepHandPaint) {
+    const lock = geom.getAttribute('paintLock');
+    if (lock) for (let i = 0; i < count; i++) if (lock.array[i] > 0) keep[i] = 1;
+    for (const road of appState.roads || []) {
+      const b = road.base;
+      // only the carriageway is painted; older saves don't say which part that was
+      if (b?.masks) b.idx.forEach((i, k) => { if (!b.painted || b.painted[k]) keep[i] = 1; });
+    }
+  }
+
+  let written = 0;
+  for (let i = 0; i < count; i++) {
+    if (keep[i]) continue;
+    const o = i * N;
+    let sum = 0;
+    for (let k = 0; k < N; k++) sum += weights[o + k];
+    for (let k = 0; k < N; k++) {
+      attrs[k].array[i] = sum > 1e-4 ? weights[o + k] / sum : (k === fallback ? 1 : 0);
+    }
+    written++;
+  }
+  attrs.forEach((a) => { a.needsUpdate = true; });
+  return written;
+}
@@ -0,0 +1,158 @@
+// file: src/brushcursor.js
+// Brush outline that follows the pointer over the terrain surface.
+//  - sculpting: brush circle plus falloff rings (where the weight drops to 75/50/25%),
+//    or the rotated square footprint of the stamp brush
+//  - texture painter active: outline of the tile square _paintArea will touch,
+//    or the soft brush circle and its falloff rings
+// Lines are laid along the heightfield in terrain-local space and drawn on top
+// of everything, so the cursor stays readable in valleys and behind ridges.
+
+import * as THREE from 'three';
+import { sampleHeight, makeFalloff } from './sculpt.js';
+
+const LIFT = 0.8;                  // world units above the surface
+const RING_LEVELS = [0.75, 0.5, 0.25];
+
+function makeLoop(color, opacity) {
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3 * 64), 3));
+  const mat = new THREE.LineBasicMaterial({ color, transparent: true, opacity, depthTest: false, depthWrite: false });
+  const line = new THREE.LineLoop(geom, mat);
+  line.frustumCulled = false;
+  line.renderOrder = 999;
+  return line;
+}
+
+// Fill a loop with n points from fn(k) -> [x, z] on the surface
+function setLoop(line, geom, n, fn) {
+  let attr = line.geometry.getAttribute('position');
+  if (attr.count < n) {
+    attr = new THREE.BufferAttribute(new Float32Array(3 * Math.max(n, attr.count * 2)), 3);
+    line.geometry.setAttribute('position', attr);
+  }
+  const a = attr.array;
+  for (let k = 0; k < n; k++) {
+    const [x, z] = fn(k);
+    a[k * 3] = x;
+    a[k * 3 + 1] = sampleHeight(geom, x, z) + LIFT;
+    a[k * 3 + 2] = z;
+  }
+  attr.needsUpdate = true;
+  line.geometry.setDrawRange(0, n);
+  line.visible = true;
+}
+
+// Radius fraction (0..1) at which the falloff first drops to `level`
+function ringFraction(falloff, level) {
+  for (let k = 1; k <= 64; k++) if (falloff(k / 64, 1) <= level) return k / 64;
+  return 1;
+}
+
+/**
+ * Install the cursor. Call update() once per frame before rendering.
+ */
+export function initBrushCursor(appState, getUiState) {
+  const { renderer, camera, scene } = appState;
+  const group = new THREE.Group();
+  group.name = 'BrushCursor';
+  group.matrixAutoUpdate = false;
+  scene.add(group);
+
+  const outline = makeLoop(0xffffff, 0.95);
+  const rings = RING_LEVELS.map(l => makeLoop(0xffffff, 0.2 + 0.5 * l));
+  const square = makeLoop(0xffd54a, 0.95);
+  [outline, ...rings, square].forEach(l => group.add(l));
+  group.visible = false;
+
+  const raycaster = new THREE.Raycaster();
+  const pointer = { x: 0, y: 0, inside: false };
+  const el = renderer.domElement;
+  el.addEventListener('pointermove', (ev) => {
+    const rect = el.getBoundingClientRect();
+    pointer.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
+    pointer.inside = true;
+  }, { passive: true });
+  el.addEventListener('pointerleave', () => { pointer.inside = false; });
+
+  function update() {
+    const mesh = appState.terrainMesh;
+    const ui = getUiState();
+    const painting = !!appState.painter?.isActive();
+    group.visible = false;
+    if (!mesh || !pointer.inside || !(ui.sculptOn || painting)) return;
+
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObject(mesh, false)[0];
+    if (!hit) return;
+
+    const geom = mesh.geometry;
+    const local = mesh.worldToLocal(hit.point.clone());
+    group.matrix.copy(mesh.matrixWorld);
+    group.matrixWorldNeedsUpdate = true;
+    group.visible = true;
+    [outline, ...rings, square].forEach(l => { l.visible = false; });
+
+    const { width, height, widthSegments } = geom.parameters;
+    const cell = width / widthSegments;
+
+    const circle = (line, r) => {
+      const n = Math.max(48, Math.min(512, Math.ceil((2 * Math.PI * r) / cell)));
+      setLoop(line, geom, n, (k) => {
+        const a = (k / n) * Math.PI * 2;
+        return [local.x + Math.cos(a) * r, local.z + Math.sin(a) * r];
+      });
+    };
+    const circleWithRings = (radius, falloff) => {
+      circle(outline, radius);
+      RING_LEVELS.forEach((level, k) => {
+        const f = ringFraction(falloff, level);
+        if (f < 0.98) circle(rings[k], radius * f); // constant falloff: no rings inside the rim
+      });
+    };
+
+    const soft = painting && appState.painter.softBrush?.();
+    if (soft) {
+      circleWithRings(soft.radius, makeFalloff(soft));
+      return;
+    }
+    if (painting) {
+      // walk the square's border vertex by vertex so it hugs the surface
+      const { TILE_SIZE } = appState.config;
+      const { i0, j0, i1, j1 } = appState.painter.paintRect(local.x, local.z);
+      const x0 = -width / 2 + i0 * TILE_SIZE, x1 = -width / 2 + (i1 + 1) * TILE_SIZE;
+      const z0 = -height / 2 + j0 * TILE_SIZE, z1 = -height / 2 + (j1 + 1) * TILE_SIZE;
+      const nx = Math.round((x1 - x0) / cell), nz = Math.round((z1 - z0) / cell);
+      setLoop(square, geom, 2 * (nx + nz), (k) => {
+        if (k < nx) return [x0 + k * cell, z0];
+        k -= nx;
+        if (k < nz) return [x1, z0 + k * cell];
+        k -= nz;
+        if (k < nx) return [x1 - k * cell, z1];
+        k -= nx;
+        return [x0, z1 - k * cell];
+      });
+      return;
+    }
+
+    const radius = ui.radius * appState.config.TILE_SIZE;
+    if (ui.mode === 'stamp') {
+      // the stamp's rotated square footprint
+      const half = radius * (ui.stampScale || 1);
+      const a = THREE.MathUtils.degToRad(ui.stampRotation || 0);
+      const cos = Math.cos(a), sin = Math.sin(a);
+      const n = Math.max(1, Math.round((2 * half) / cell));
+      const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+      setLoop(square, geom, 4 * n, (k) => {
+        const [u0, v0] = corners[Math.floor(k / n)], [u1, v1] = corners[(Math.floor(k / n) + 1) % 4];
+        const t = (k % n) / n;
+        const u = (u0 + (u1 - u0) * t) * half, v = (v0 + (v1 - v0) * t) * half;
+        return [local.x + u * cos - v * sin, local.z + u * sin + v * cos];
+      });
+      return;
+    }
+    circleWithRings(radius, makeFalloff(ui));
+  }
+
+  return { update };
+}
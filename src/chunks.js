@@ -0,0 +1,249 @@
+// file: src/chunks.js
+// Chunked rendering for the terrain heightfield.
+//
+// terrainMesh stays the single source of truth (heights, normals, uv, colors, masks)
+// and the raycast target, but is not drawn. The map is cut into CHUNK_SEGMENTS²
+// pieces whose geometries (one per LOD layout) share its BufferAttributes and
+// only own an index buffer, so edits never have to be copied around. Each chunk
+// picks a step of 1/2/4/8 segments from its distance to the camera; where a
+// neighbour is coarser, the border vertices snap onto the neighbour's grid so
+// seams stay closed.
+
+import * as THREE from 'three';
+
+export const CHUNK_SEGMENTS = 64;  // must be a multiple of the coarsest step
+const LOD_STEPS = [1, 2, 4, 8];
+const LOD_DISTANCE = 1.25;         // level n starts at LOD_DISTANCE * 2^(n-1) chunk widths
+
+// [x0, x0+s, ..., x1] — the far edge is always included
+function axis(a0, a1, s) {
+  const out = [];
+  for (let v = a0; v < a1; v += s) out.push(v);
+  out.push(a1);
+  return out;
+}
+
+// Move an edge coordinate onto a coarser neighbour's grid
+function snap(v, a0, a1, e) {
+  return v === a1 ? a1 : a0 + Math.floor((v - a0) / e) * e;
+}
+
+/**
+ * Triangulate one chunk with step s. edges = neighbour steps [north, east, south, west]
+ * (0 = map border). Winding matches PlaneGeometry.
+ */
+function buildIndex(ch, vpr, s, edges, IndexArray) {
+  const { x0, y0, x1, y1 } = ch;
+  const cols = axis(x0, x1, s), rows = axis(y0, y1, s);
+  const [eN, eE, eS, eW] = edges;
+  const vid = (c, r) => {
+    if (r === y0 && eN > s) c = snap(c, x0, x1, eN);
+    else if (r === y1 && eS > s) c = snap(c, x0, x1, eS);
+    if (c === x0 && eW > s) r = snap(r, y0, y1, eW);
+    else if (c === x1 && eE > s) r = snap(r, y0, y1, eE);
+    return r * vpr + c;
+  };
+
+  const out = [];
+  const tri = (a, b, c) => { if (a !== b && b !== c && a !== c) out.push(a, b, c); };
+  for (let m = 0; m < rows.length - 1; m++) {
+    for (let k = 0; k < cols.length - 1; k++) {
+      const a = vid(cols[k], rows[m]);
+      const b = vid(cols[k], rows[m + 1]);
+      const c = vid(cols[k + 1], rows[m + 1]);
+      const d = vid(cols[k + 1], rows[m]);
+      tri(a, b, d);
+      tri(b, c, d);
+    }
+  }
+  return new THREE.BufferAttribute(new IndexArray(out), 1);
+}
+
+const _inv = new THREE.Matrix4();
+const _ray = new THREE.Ray();
+const _box = new THREE.Box3();
+const _a = new THREE.Vector3(), _b = new THREE.Vector3(), _c = new THREE.Vector3();
+const _hit = new THREE.Vector3(), _best = new THREE.Vector3(), _cam = new THREE.Vector3();
+
+/**
+ * Split terrainMesh into LOD chunks parented to `parent` (the terrain group).
+ * Returns { chunks, update(camera), markDirty(rect), chunksOnRay(localRay, pad), dispose() }.
+ * rect = { c0, r0, c1, r1 } in vertex columns/rows (inclusive).
+ */
+export function createTerrainChunks(terrainMesh, parent) {
+  const src = terrainMesh.geometry;
+  const { widthSegments, heightSegments } = src.parameters;
+  const vpr = widthSegments + 1;
+  const pos = src.attributes.position;
+  const IndexArray = pos.count > 65535 ? Uint32Array : Uint16Array;
+
+  const cx = Math.ceil(widthSegments / CHUNK_SEGMENTS);
+  const cy = Math.ceil(heightSegments / CHUNK_SEGMENTS);
+  const chunks = [];
+
+  for (let j = 0; j < cy; j++) {
+    for (let i = 0; i < cx; i++) {
+      const mesh = new THREE.Mesh(new THREE.BufferGeometry(), terrainMesh.material);
+      mesh.name = `TerrainChunk_${i}_${j}`;
+      mesh.receiveShadow = terrainMesh.receiveShadow;
+      mesh.castShadow = terrainMesh.castShadow;
+      mesh.raycast = () => {}; // picking goes through terrainMesh
+      parent.add(mesh);
+      chunks.push({
+        i, j, mesh,
+        x0: i * CHUNK_SEGMENTS, y0: j * CHUNK_SEGMENTS,
+        x1: Math.min(widthSegments, (i + 1) * CHUNK_SEGMENTS),
+        y1: Math.min(heightSegments, (j + 1) * CHUNK_SEGMENTS),
+        box: new THREE.Box3(),
+        step: 0,
+        key: '',
+        geoms: new Map(), // LOD key -> geometry (shared attributes + own index)
+      });
+    }
+  }
+  const at = (i, j) => (i < 0 || j < 0 || i >= cx || j >= cy ? null : chunks[j * cx + i]);
+
+  // Share whatever attributes terrainMesh has (the painter adds/replaces masks later)
+  let shared = {};
+  function shareAttributes(geom) {
+    for (const n of Object.keys(geom.attributes)) if (!shared[n]) geom.deleteAttribute(n);
+    for (const n of Object.keys(shared)) geom.setAttribute(n, shared[n]);
+  }
+  function syncAttributes() {
+    const names = Object.keys(src.attributes);
+    if (names.length === Object.keys(shared).length && names.every(n => shared[n] === src.attributes[n])) return;
+    shared = { ...src.attributes };
+    for (const ch of chunks) ch.geoms.forEach(shareAttributes);
+  }
+
+  function geometryFor(ch, key, edges) {
+    let geom = ch.geoms.get(key);
+    if (!geom) {
+      geom = new THREE.BufferGeometry();
+      shareAttributes(geom);
+      geom.setIndex(buildIndex(ch, vpr, ch.step, edges, IndexArray));
+      geom.boundingBox = ch.box.clone();
+      geom.boundingSphere = ch.box.getBoundingSphere(new THREE.Sphere());
+      ch.geoms.set(key, geom);
+    }
+    return geom;
+  }
+
+  // Bounds come from the chunk's own vertices (the shared position buffer spans the map)
+  function refreshBounds(ch) {
+    const p = pos.array;
+    let lo = Infinity, hi = -Infinity;
+    for (let r = ch.y0; r <= ch.y1; r++) {
+      for (let c = ch.x0; c <= ch.x1; c++) {
+        const y = p[(r * vpr + c) * 3 + 1];
+        if (y < lo) lo = y;
+        if (y > hi) hi = y;
+      }
+    }
+    const a = (ch.y0 * vpr + ch.x0) * 3, b = (ch.y1 * vpr + ch.x1) * 3;
+    ch.box.min.set(p[a], lo, p[a + 2]);
+    ch.box.max.set(p[b], hi, p[b + 2]);
+    ch.geoms.forEach((g) => {
+      g.boundingBox.copy(ch.box);
+      ch.box.getBoundingSphere(g.boundingSphere);
+    });
+  }
+
+  function markDirty(rect) {
+    for (const ch of chunks) {
+      if (rect && (rect.c1 < ch.x0 || rect.c0 > ch.x1 || rect.r1 < ch.y0 || rect.r0 > ch.y1)) continue;
+      refreshBounds(ch);
+    }
+  }
+
+  function update(camera) {
+    if (!chunks.length) return;
+    syncAttributes();
+
+    terrainMesh.updateWorldMatrix(true, false);
+    _cam.copy(camera.position);
+    terrainMesh.worldToLocal(_cam);
+    const size = CHUNK_SEGMENTS * (pos.array[3] - pos.array[0]);
+
+    for (const ch of chunks) {
+      const d = ch.box.distanceToPoint(_cam) / (size * LOD_DISTANCE);
+      const level = d < 1 ? 0 : Math.min(LOD_STEPS.length - 1, 1 + Math.floor(Math.log2(d)));
+      ch.step = LOD_STEPS[level];
+    }
+    for (const ch of chunks) {
+      const edges = [at(ch.i, ch.j - 1), at(ch.i + 1, ch.j), at(ch.i, ch.j + 1), at(ch.i - 1, ch.j)]
+        .map(n => (n ? n.step : 0));
+      const key = `${ch.step}|${edges.join(',')}`;
+      if (key === ch.key) continue;
+      ch.mesh.geometry = geometryFor(ch, key, edges);
+      ch.key = key;
+    }
+  }
+
+  // Chunks whose (padded) bounds the local-space ray passes through, nearest first
+  function chunksOnRay(ray, pad = 0) {
+    const out = [];
+    for (const ch of chunks) {
+      _box.copy(ch.box).expandByScalar(pad);
+      if (ray.intersectBox(_box, _hit)) out.push({ ch, d: _hit.distanceToSquared(ray.origin) });
+    }
+    return out.sort((p, q) => p.d - q.d).map(p => p.ch);
+  }
+
+  // Full-resolution picking, limited to chunks the ray actually crosses.
+  // Reports the nearest hit only (callers use hits[0]).
+  terrainMesh.raycast = function raycastChunked(raycaster, intersects) {
+    _inv.copy(this.matrixWorld).invert();
+    _ray.copy(raycaster.ray).applyMatrix4(_inv);
+    const p = pos.array;
+    const backface = this.material.side === THREE.FrontSide;
+    const load = (v, idx) => v.set(p[idx * 3], p[idx * 3 + 1], p[idx * 3 + 2]);
+
+    let best = Infinity, bestFace = -1, ia = 0, ib = 0, ic = 0;
+    for (const ch of chunksOnRay(_ray)) {
+      if (bestFace >= 0) {
+        // anything after the first hit chunk can only win if its box is closer than the hit
+        if (!_ray.intersectBox(ch.box, _hit) || _hit.distanceTo(_ray.origin) > best) continue;
+      }
+      for (let r = ch.y0; r < ch.y1; r++) {
+        for (let c = ch.x0; c < ch.x1; c++) {
+          const a = r * vpr + c, b = a + vpr, cc = b + 1, d = a + 1;
+          for (let t = 0; t < 2; t++) {
+            const i0 = t ? b : a, i1 = t ? cc : b, i2 = d;
+            if (!_ray.intersectTriangle(load(_a, i0), load(_b, i1), load(_c, i2), backface, _hit)) continue;
+            const dist = _hit.distanceTo(_ray.origin);
+            if (dist < best) {
+              best = dist; _best.copy(_hit);
+              bestFace = (r * widthSegments + c) * 2 + t; ia = i0; ib = i1; ic = i2;
+            }
+          }
+        }
+      }
+    }
+    if (bestFace < 0) return;
+
+    const point = _best.clone().applyMatrix4(this.matrixWorld);
+    const distance = raycaster.ray.origin.distanceTo(point);
+    if (distance < raycaster.near || distance > raycaster.far) return;
+    const normal = new THREE.Vector3();
+    THREE.Triangle.getNormal(load(_a, ia), load(_b, ib), load(_c, ic), normal);
+    intersects.push({
+      distance, point, object: this,
+      faceIndex: bestFace,
+      face: { a: ia, b: ib, c: ic, normal, materialIndex: 0 },
+    });
+  };
+
+  function dispose() {
+    for (const ch of chunks) {
+      parent.remove(ch.mesh);
+      ch.mesh.geometry.dispose(); // the empty placeholder, or one of geoms
+      ch.geoms.forEach(g => g.dispose());
+    }
+    chunks.length = 0;
+    delete terrainMesh.raycast;
+  }
+
+  markDirty(null);
+  return { chunks, update, markDirty, chunksOnRay, dispose };
+}
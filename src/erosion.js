@@ -0,0 +1,214 @@
+// file: src/erosion.js
+// Droplet-based hydraulic erosion on a plain height grid (no THREE / DOM here,
+// so it can run anywhere). Heights are row-major, w × h vertices, in world units.
+// The simulation runs on heights normalized to 0..1 over the current relief, so
+// the default parameters behave the same for any height range or map size.
+
+import { makeRng } from './random.js';
+
+export const HYDRAULIC_DEFAULTS = {
+  iterations: 50000,   // droplets
+  inertia: 0.05,       // 0 = follow slope exactly, 1 = never turn
+  capacity: 4,         // sediment capacity factor
+  minCapacity: 0.01,
+  deposition: 0.3,     // fraction of excess sediment dropped per step
+  erosion: 0.3,        // fraction of free capacity picked up per step
+  evaporation: 0.01,   // water lost per step
+  gravity: 4,
+  radius: 3,           // erosion brush radius (vertices)
+  maxLifetime: 30,     // steps per droplet
+  initialWater: 1,
+  initialSpeed: 1,
+  seed: 0,
+};
+
+// Precomputed circular brush: offsets + linear falloff weights
+function makeBrush(radius) {
+  const r = Math.max(1, radius | 0);
+  const dx = [], dy = [], wt = [];
+  for (let y = -r; y <= r; y++) {
+    for (let x = -r; x <= r; x++) {
+      const d = Math.sqrt(x * x + y * y);
+      if (d < r) { dx.push(x); dy.push(y); wt.push(1 - d / r); }
+    }
+  }
+  return { dx, dy, wt };
+}
+
+/**
+ * Create an eroder over `heights` (modified in place).
+ * Returns { step(n) -> droplets done so far, flush(), total }.
+ */
+export function createHydraulicErosion(heights, w, h, opts = {}) {
+  const o = { ...HYDRAULIC_DEFAULTS, ...opts };
+  const rand = makeRng(o.seed, 'hydraulic');
+  const brush = makeBrush(o.radius);
+
+  let lo = Infinity, hi = -Infinity;
+  for (let i = 0; i < heights.length; i++) {
+    if (heights[i] < lo) lo = heights[i];
+    if (heights[i] > hi) hi = heights[i];
+  }
+  const range = hi > lo ? hi - lo : 1;
+  const map = new Float32Array(heights.length);
+  for (let i = 0; i < map.length; i++) map[i] = (heights[i] - lo) / range;
+
+  // height + gradient by bilinear interpolation at a fractional position
+  function sample(px, py, out) {
+    const x = px | 0, y = py | 0;
+    const fx = px - x, fy = py - y;
+    const i = y * w + x;
+    const nw = map[i], ne = map[i + 1], sw = map[i + w], se = map[i + w + 1];
+    out.gx = (ne - nw) * (1 - fy) + (se - sw) * fy;
+    out.gy = (sw - nw) * (1 - fx) + (se - ne) * fx;
+    out.h = nw * (1 - fx) * (1 - fy) + ne * fx * (1 - fy) + sw * (1 - fx) * fy + se * fx * fy;
+    return out;
+  }
+
+  function erodeAt(cx, cy, amount) {
+    let wsum = 0;
+    for (let k = 0; k < brush.wt.length; k++) {
+      const x = cx + brush.dx[k], y = cy + brush.dy[k];
+      if (x >= 0 && y >= 0 && x < w && y < h) wsum += brush.wt[k];
+    }
+    if (wsum <= 0) return;
+    for (let k = 0; k < brush.wt.length; k++) {
+      const x = cx + brush.dx[k], y = cy + brush.dy[k];
+      if (x >= 0 && y >= 0 && x < w && y < h) map[y * w + x] -= amount * brush.wt[k] / wsum;
+    }
+  }
+
+  const s0 = { h: 0, gx: 0, gy: 0 }, s1 = { h: 0, gx: 0, gy: 0 };
+  let done = 0;
+
+  function droplet() {
+    let px = rand() * (w - 1), py = rand() * (h - 1);
+    let dirX = 0, dirY = 0;
+    let speed = o.initialSpeed, water = o.initialWater, sediment = 0;
+
+    for (let life = 0; life < o.maxLifetime; life++) {
+      const nx = px | 0, ny = py | 0;
+      const fx = px - nx, fy = py - ny;
+      const cur = sample(px, py, s0);
+
+      dirX = dirX * o.inertia - cur.gx * (1 - o.inertia);
+      dirY = dirY * o.inertia - cur.gy * (1 - o.inertia);
+      const len = Math.sqrt(dirX * dirX + dirY * dirY);
+      if (len < 1e-9) break;
+      dirX /= len; dirY /= len;
+      px += dirX; py += dirY;
+      if (px < 0 || py < 0 || px >= w - 1 || py >= h - 1) break;
+
+      const dh = sample(px, py, s1).h - cur.h;
+      const capacity = Math.max(-dh * speed * water * o.capacity, o.minCapacity);
+
+      if (sediment > capacity || dh > 0) {
+        // uphill: fill the pit we left; otherwise drop part of the excess
+        const amt = dh > 0 ? Math.min(dh, sediment) : (sediment - capacity) * o.deposition;
+        sediment -= amt;
+        const i = ny * w + nx;
+        map[i]         += amt * (1 - fx) * (1 - fy);
+        map[i + 1]     += amt * fx * (1 - fy);
+        map[i + w]     += amt * (1 - fx) * fy;
+        map[i + w + 1] += amt * fx * fy;
+      } else {
+        const amt = Math.min((capacity - sediment) * o.erosion, -dh);
+        erodeAt(nx, ny, amt);
+        sediment += amt;
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - dh * o.gravity));
+      water *= 1 - o.evaporation;
+    }
+  }
+
+  return {
+    total: o.iterations,
+    // run up to n more droplets; `heights` is written back once all are done
+    step(n) {
+      const end = Math.min(o.iterations, done + n);
+      for (; done < end; done++) droplet();
+      if (done >= o.iterations) this.flush();
+      return done;
+    },
+    flush() {
+      for (let i = 0; i < map.length; i++) heights[i] = lo + map[i] * range;
+    },
+    get done() { return done; },
+  };
+}
+
+// ---------- thermal / talus erosion ----------
+export const THERMAL_DEFAULTS = {
+  talusAngle: 35,    // degrees; steeper slopes shed material
+  iterations: 50,
+  strength: 0.5,     // fraction of the excess moved per iteration (0..1]
+};
+
+const N8 = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * Talus erosion: wherever the drop to a neighbour exceeds tan(talusAngle) * distance,
+ * material slides downhill (mass conserving). Heights in world units, cellSize = vertex spacing.
+ * opts.rect = { x0, y0, x1, y1 } limits the pass (inclusive vertex bounds);
+ * opts.weight(x, y) -> 0..1 scales how much each vertex may shed (brush falloff).
+ * Returns { step(n), total } like the hydraulic eroder.
+ */
+export function createThermalErosion(heights, w, h, cellSize = 1, opts = {}) {
+  const o = { ...THERMAL_DEFAULTS, ...opts };
+  const tan = Math.tan((Math.min(89, Math.max(0, o.talusAngle)) * Math.PI) / 180);
+  const limits = N8.map(([dx, dy]) => tan * cellSize * Math.hypot(dx, dy));
+  const strength = Math.min(1, Math.max(0, o.strength));
+  const r = o.rect || { x0: 0, y0: 0, x1: w - 1, y1: h - 1 };
+  const x0 = Math.max(0, r.x0), y0 = Math.max(0, r.y0);
+  const x1 = Math.min(w - 1, r.x1), y1 = Math.min(h - 1, r.y1);
+
+  const rw = x1 - x0 + 1;
+  const weights = new Float32Array(rw * (y1 - y0 + 1)).fill(1);
+  if (o.weight) {
+    for (let y = y0; y <= y1; y++) for (let x = x0; x <= x1; x++) weights[(y - y0) * rw + (x - x0)] = o.weight(x, y);
+  }
+  const delta = new Float32Array(heights.length);
+  const excess = new Float32Array(8);
+  let done = 0;
+
+  function pass() {
+    delta.fill(0);
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const wgt = weights[(y - y0) * rw + (x - x0)];
+        if (wgt <= 0) continue;
+        const i = y * w + x;
+        const hc = heights[i];
+        let sum = 0, maxEx = 0;
+        for (let k = 0; k < 8; k++) {
+          const nx = x + N8[k][0], ny = y + N8[k][1];
+          excess[k] = 0;
+          if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+          const ex = hc - heights[ny * w + nx] - limits[k];
+          if (ex > 0) { excess[k] = ex; sum += ex; if (ex > maxEx) maxEx = ex; }
+        }
+        if (sum <= 0) continue;
+        const moved = strength * wgt * maxEx * 0.5;
+        delta[i] -= moved;
+        for (let k = 0; k < 8; k++) {
+          if (excess[k] > 0) delta[(y + N8[k][1]) * w + (x + N8[k][0])] += moved * excess[k] / sum;
+        }
+      }
+    }
+    // neighbours of the rect may have received material
+    for (let y = Math.max(0, y0 - 1); y <= Math.min(h - 1, y1 + 1); y++) {
+      for (let x = Math.max(0, x0 - 1); x <= Math.min(w - 1, x1 + 1); x++) heights[y * w + x] += delta[y * w + x];
+    }
+  }
+
+  return {
+    total: o.iterations,
+    step(n) {
+      const end = Math.min(o.iterations, done + n);
+      for (; done < end; done++) pass();
+      return done;
+    },
+    get done() { return done; },
+  };
+}
@@ -0,0 +1,259 @@
+// file: src/export.js
+// In-browser exporters.
+//  - GLB: terrain mesh (normals, UVs, mask1..8 as custom _MASK attributes) with
+//    the splat blend baked into its base color map, plus optional Trees / Marker nodes.
+//  - Engine maps: 16-bit RAW / PNG heightmap at 2^n+1, RGBA splatmaps from the
+//    masks (four layers per file) and a JSON sidecar with world size and height range.
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { downloadBlob, resampleGrid } from './utils.js';
+import { MASK_NAMES } from './texlayers.js';
+
+// Pick a square bake size from texels-per-tile, clamped to a power of two the GPU supports.
+function bakeSize(appState, texelsPerTile) {
+  const { TILES_X, TILES_Y } = appState.config;
+  const maxTex = Math.min(8192, appState.renderer?.capabilities?.maxTextureSize || 4096);
+  const want = Math.max(TILES_X, TILES_Y) * texelsPerTile;
+  return Math.min(maxTex, THREE.MathUtils.ceilPowerOfTwo(Math.max(64, want)));
+}
+
+function buildTerrainNode(appState, texelsPerTile) {
+  const src = appState.terrainMesh.geometry;
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', src.attributes.position.clone());
+  geom.setAttribute('normal', src.attributes.normal.clone());
+  geom.setAttribute('uv', src.attributes.uv.clone());
+  MASK_NAMES.forEach((n) => {
+    const a = src.getAttribute(n);
+    if (a) geom.setAttribute(n, a.clone());
+  });
+  geom.setIndex(src.index.clone());
+
+  const mat = new THREE.MeshStandardMaterial({ color: 0xffffff, metalness: 0.05, roughness: 0.9 });
+  const canvas = appState.painter?.bakeDiffuse(bakeSize(appState, texelsPerTile));
+  if (canvas) {
+    const map = new THREE.CanvasTexture(canvas);
+    map.colorSpace = THREE.SRGBColorSpace;
+    map.name = 'TerrainDiffuse';
+    mat.map = map;
+  }
+  mat.name = 'TerrainBaked';
+
+  const mesh = new THREE.Mesh(geom, mat);
+  mesh.name = 'Terrain';
+  mesh.position.copy(appState.terrainMesh.getWorldPosition(new THREE.Vector3()));
+  return mesh;
+}
+
+/**
+ * Build the export scene and encode it as GLB.
+ * opts: { texelsPerTile = 64, trees = true, marker = true }
+ * Resolves to an ArrayBuffer.
+ */
+export async function exportGLB(appState, opts = {}) {
+  const { texelsPerTile = 64, trees = true, marker = true } = opts;
+  if (!appState.terrainMesh) throw new Error('[export] No terrain to export.');
+
+  appState.scene.updateMatrixWorld(true);
+  const root = new THREE.Scene();
+  root.name = 'TerrainCreator';
+  root.add(buildTerrainNode(appState, texelsPerTile));
+
+  if (trees && appState.treesGroup?.children.length) {
+    const t = appState.treesGroup.clone(true);
+    t.name = 'Trees';
+    appState.treesGroup.matrixWorld.decompose(t.position, t.quaternion, t.scale);
+    root.add(t);
+  }
+  if (marker && appState.ball?.mesh) {
+    const m = appState.ball.mesh.clone();
+    m.name = 'Marker';
+    root.add(m);
+  }
+
+  const exporter = new GLTFExporter();
+  const glb = await exporter.parseAsync(root, { binary: true });
+
+  // free the temporary terrain copy (trees/marker clones share source resources)
+  const terrain = root.getObjectByName('Terrain');
+  terrain.geometry.dispose();
+  terrain.material.map?.dispose();
+  terrain.material.dispose();
+  return glb;
+}
+
+export async function downloadGLB(appState, opts = {}, filename = 'terrain.glb') {
+  const glb = await exportGLB(appState, opts);
+  downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), filename);
+}
+
+// ---------- engine heightmap / splatmap ----------
+export const ENGINE_SIZES = [129, 257, 513, 1025, 2049, 4097];
+
+// Smallest 2^n+1 size that doesn't lose vertex resolution
+export function autoEngineSize(appState) {
+  const { widthSegments, heightSegments } = appState.terrainMesh.geometry.parameters;
+  const need = Math.max(widthSegments, heightSegments) + 1;
+  return ENGINE_SIZES.find(s => s >= need) ?? ENGINE_SIZES[ENGINE_SIZES.length - 1];
+}
+
+// --- minimal PNG encoder (8/16-bit gray or RGBA, no premultiplied alpha) ---
+let _crcTable = null;
+function _crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      _crcTable[n] = c >>> 0;
+    }
+  }
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = _crcTable[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function _pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  dv.setUint32(8 + data.length, _crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+/**
+ * Encode samples as PNG. samples: Uint8Array (bitDepth 8) or Uint16Array (bitDepth 16),
+ * interleaved, `channels` = 1 (gray) or 4 (RGBA). Resolves to a Blob.
+ */
+export async function encodePng(width, height, channels, samples) {
+  const bitDepth = samples instanceof Uint16Array ? 16 : 8;
+  const bps = bitDepth / 8;
+  const stride = width * channels * bps;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const o = y * (stride + 1); // filter byte 0 (None)
+    for (let i = 0; i < width * channels; i++) {
+      const v = samples[y * width * channels + i];
+      if (bps === 2) { raw[o + 1 + i * 2] = v >> 8; raw[o + 2 + i * 2] = v & 255; } // big-endian
+      else raw[o + 1 + i] = v;
+    }
+  }
+  const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+  const idat = new Uint8Array(await new Response(stream).arrayBuffer());
+
+  const ihdr = new Uint8Array(13);
+  const dv = new DataView(ihdr.buffer);
+  dv.setUint32(0, width);
+  dv.setUint32(4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = channels === 4 ? 6 : 0;
+  const sig = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+  return new Blob([sig, _pngChunk('IHDR', ihdr), _pngChunk('IDAT', idat), _pngChunk('IEND', new Uint8Array(0))],
+    { type: 'image/png' });
+}
+
+/**
+ * Build engine-ready files. Row 0 of every image is the -Z edge, column 0 the -X edge.
+ * opts: { size (2^n+1, default auto), formats: ['raw','png'], range: 'config'|'data' }
+ * Resolves to [{ name, blob }].
+ */
+export async function exportEngineMaps(appState, opts = {}) {
+  const { terrainMesh, config } = appState;
+  if (!terrainMesh) throw new Error('[export] No terrain to export.');
+
+  const size = opts.size || autoEngineSize(appState);
+  if (!ENGINE_SIZES.includes(size)) throw new Error(`[export] Heightmap size must be 2^n+1 (got ${size}).`);
+  const formats = opts.formats || ['raw', 'png'];
+
+  const geom = terrainMesh.geometry;
+  const { widthSegments, heightSegments } = geom.parameters;
+  const sw = widthSegments + 1, sh = heightSegments + 1;
+  const pos = geom.attributes.position.array;
+
+  const ys = new Float32Array(sw * sh);
+  let dataMin = Infinity, dataMax = -Infinity;
+  for (let i = 0; i < ys.length; i++) {
+    const y = pos[i * 3 + 1];
+    ys[i] = y;
+    if (y < dataMin) dataMin = y;
+    if (y > dataMax) dataMax = y;
+  }
+  const lo = opts.range === 'data' ? dataMin : config.MIN_H;
+  const hi = opts.range === 'data' ? dataMax : config.MAX_H;
+  const scale = hi > lo ? 65535 / (hi - lo) : 0;
+
+  const heights = resampleGrid(ys, sw, sh, size, size);
+  const h16 = new Uint16Array(size * size);
+  for (let i = 0; i < h16.length; i++) {
+    h16[i] = THREE.MathUtils.clamp(Math.round((heights[i] - lo) * scale), 0, 65535);
+  }
+
+  const files = [];
+  if (formats.includes('raw')) {
+    const raw = new DataView(new ArrayBuffer(h16.length * 2));
+    for (let i = 0; i < h16.length; i++) raw.setUint16(i * 2, h16[i], true);
+    files.push({ name: `heightmap_${size}.raw`, blob: new Blob([raw.buffer], { type: 'application/octet-stream' }) });
+  }
+  if (formats.includes('png')) {
+    files.push({ name: `heightmap_${size}.png`, blob: await encodePng(size, size, 1, h16) });
+  }
+
+  // Splatmaps: weights normalized per texel across all layers, power-of-two size
+  // (engine alphamap convention). Masks 1-4 go to the first RGBA file; 5-8 to a
+  // second one, written only when a layer uses those slots.
+  const splatSize = size - 1;
+  const masks = MASK_NAMES.map(n => geom.getAttribute(n));
+  const layers = appState.textureLayers || [];
+  const splats = [];
+  if (masks.every(Boolean)) {
+    const ch = masks.map(a => resampleGrid(a.array, sw, sh, splatSize, splatSize, true));
+    const sums = new Float32Array(splatSize * splatSize);
+    ch.forEach(c => { for (let i = 0; i < sums.length; i++) sums[i] += Math.max(0, c[i]); });
+    const fileCount = layers.some(l => l.mask >= 4) ? 2 : 1;
+    for (let f = 0; f < fileCount; f++) {
+      const rgba = new Uint8Array(splatSize * splatSize * 4);
+      for (let i = 0; i < sums.length; i++) {
+        if (sums[i] <= 1e-5) continue;
+        for (let k = 0; k < 4; k++) rgba[i * 4 + k] = Math.round((Math.max(0, ch[f * 4 + k][i]) / sums[i]) * 255);
+      }
+      const name = f ? `splatmap_${splatSize}_${f + 1}.png` : `splatmap_${splatSize}.png`;
+      files.push({ name, blob: await encodePng(splatSize, splatSize, 4, rgba) });
+      const channels = {};
+      'rgba'.split('').forEach((c, k) => { channels[c] = layers.find(l => l.mask === f * 4 + k)?.name ?? null; });
+      splats.push({ file: name, channels });
+    }
+  }
+
+  const { TILES_X, TILES_Y, TILE_SIZE } = config;
+  const sidecar = {
+    generator: 'TerrainCreator',
+    heightmap: {
+      resolution: size,
+      bitDepth: 16,
+      files: files.filter(f => f.name.startsWith('heightmap_')).map(f => f.name),
+      rawByteOrder: 'little-endian',
+      rowOrder: 'row 0 = -Z edge, column 0 = -X edge',
+    },
+    heightRange: { min: lo, max: hi, size: hi - lo },
+    dataRange: { min: dataMin, max: dataMax },
+    worldSize: { x: TILES_X * TILE_SIZE, z: TILES_Y * TILE_SIZE },
+    tiles: { x: TILES_X, y: TILES_Y, size: TILE_SIZE },
+    splatmap: splats.length ? {
+      resolution: splatSize,
+      file: splats[0].file,
+      channels: splats[0].channels,
+      files: splats,
+    } : null,
+  };
+  files.push({ name: 'terrain.json', blob: new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' }) });
+  return files;
+}
+
+export async function downloadEngineMaps(appState, opts = {}) {
+  const files = await exportEngineMaps(appState, opts);
+  files.forEach(f => downloadBlob(f.blob, f.name));
+  return files;
+}
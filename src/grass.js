@@ -1,5 +1,6 @@
 // file: src/grass.js
 import * as THREE from 'three';
+import { makeRng } from './random.js';
 
 // --- GEOMETRY ---
 // We create a single blade geometry that will be instanced.
@@ -84,9 +85,11 @@ const grassFragmentShader = `
 
 // --- MAIN CLASS ---
 export class Grass {
-    constructor(scene, terrainMesh) {
+    // config is appState.config; its SEED seeds regenerate() by default
+    constructor(scene, terrainMesh, config = null) {
         this.scene = scene;
         this.terrainMesh = terrainMesh;
+        this.config = config;
 
         this.material = new THREE.ShaderMaterial({
             uniforms: {
@@ -111,9 +114,11 @@ export class Grass {
         this.material.uniforms.uTime.value = time;
     }
 
-    // This is the core function that places grass on the terrain
-    regenerate() {
+    // This is the core function that places grass on the terrain.
+    // Seeded from the map seed (config.SEED) so the same map grows the same grass.
+    regenerate(seed = this.config?.SEED ?? 0) {
         if (!this.terrainMesh) return;
+        const rand = makeRng(seed, 'grass');
 
         const terrainPositions = this.terrainMesh.geometry.attributes.position;
         const terrainColors = this.terrainMesh.geometry.attributes.color;
@@ -134,7 +139,7 @@ export class Grass {
                 const grassDensity = g - (r + b) / 2.0;
                 
                 // Add blades based on density. We use a random check to avoid grid-like patterns.
-                if (Math.random() < grassDensity * 0.4) { // 0.4 is a density factor
+                if (rand() < grassDensity * 0.4) { // 0.4 is a density factor
                     if (bladeCount >= this.mesh.count) break; // Don't exceed max count
 
                     // Get the world position of the vertex
@@ -145,8 +150,8 @@ export class Grass {
                     );
 
                     // Add random rotation and scale
-                    dummy.rotation.y = Math.random() * Math.PI * 2;
-                    dummy.scale.setScalar(0.8 + Math.random() * 0.4);
+                    dummy.rotation.y = rand() * Math.PI * 2;
+                    dummy.scale.setScalar(0.8 + rand() * 0.4);
                     dummy.updateMatrix();
 
                     this.mesh.setMatrixAt(bladeCount, dummy.matrix);
@@ -0,0 +1,209 @@
+// file: src/heightmap.js
+// Heightmap image import: decodes 8-bit images (via canvas), 16-bit PNGs
+// (own decoder — canvas would truncate to 8 bits) and 16-bit RAW files, then
+// resamples them onto the terrain vertex grid.
+
+import * as THREE from 'three';
+import { applyHeights } from './terrain.js';
+
+const PNG_SIG = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Decoded images are { width, height, data: Float32Array (0..1, row-major, top row first), bits }
+
+// ---------- decoders ----------
+async function _inflate(bytes) {
+  if (typeof DecompressionStream === 'undefined') throw new Error('[heightmap] DecompressionStream not supported.');
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function _paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Returns null when the PNG needs the browser decoder (palette, <8 bit, interlaced).
+async function decodePng16(buffer) {
+  const u8 = new Uint8Array(buffer);
+  for (let i = 0; i < 8; i++) if (u8[i] !== PNG_SIG[i]) return null;
+  const dv = new DataView(buffer);
+
+  let p = 8;
+  let ihdr = null;
+  const idat = [];
+  while (p + 8 <= u8.length) {
+    const len = dv.getUint32(p);
+    const type = String.fromCharCode(u8[p + 4], u8[p + 5], u8[p + 6], u8[p + 7]);
+    const data = u8.subarray(p + 8, p + 8 + len);
+    if (type === 'IHDR') {
+      ihdr = {
+        width: dv.getUint32(p + 8), height: dv.getUint32(p + 12),
+        bitDepth: u8[p + 16], colorType: u8[p + 17], interlace: u8[p + 20],
+      };
+    } else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+    p += 12 + len;
+  }
+  if (!ihdr) throw new Error('[heightmap] PNG has no IHDR chunk.');
+
+  const { width, height, bitDepth, colorType, interlace } = ihdr;
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  if (bitDepth !== 16 || !channels || interlace) return null;
+
+  const total = idat.reduce((n, c) => n + c.length, 0);
+  const packed = new Uint8Array(total);
+  let o = 0;
+  for (const c of idat) { packed.set(c, o); o += c.length; }
+  const raw = await _inflate(packed);
+
+  const bpp = channels * 2;
+  const stride = width * bpp;
+  if (raw.length < (stride + 1) * height) throw new Error('[heightmap] PNG image data is truncated.');
+
+  const prev = new Uint8Array(stride);
+  const line = new Uint8Array(stride);
+  const data = new Float32Array(width * height);
+  const gray = channels < 3; // 0/4 = gray(+alpha), 2/6 = rgb(+alpha)
+
+  for (let y = 0; y < height; y++) {
+    const base = y * (stride + 1);
+    const filter = raw[base];
+    for (let x = 0; x < stride; x++) {
+      const cur = raw[base + 1 + x];
+      const a = x >= bpp ? line[x - bpp] : 0;
+      const b = prev[x];
+      const c = x >= bpp ? prev[x - bpp] : 0;
+      let v;
+      switch (filter) {
+        case 0: v = cur; break;
+        case 1: v = cur + a; break;
+        case 2: v = cur + b; break;
+        case 3: v = cur + ((a + b) >> 1); break;
+        case 4: v = cur + _paeth(a, b, c); break;
+        default: throw new Error(`[heightmap] Bad PNG filter type ${filter}.`);
+      }
+      line[x] = v & 255;
+    }
+    for (let x = 0; x < width; x++) {
+      const px = x * bpp;
+      const r = (line[px] << 8) | line[px + 1]; // PNG samples are big-endian
+      let val = r;
+      if (!gray) {
+        const g = (line[px + 2] << 8) | line[px + 3];
+        const bl = (line[px + 4] << 8) | line[px + 5];
+        val = (r + g + bl) / 3;
+      }
+      data[y * width + x] = val / 65535;
+    }
+    prev.set(line);
+  }
+  return { width, height, data, bits: 16 };
+}
+
+async function decodeWithCanvas(file) {
+  const bmp = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = bmp.width; canvas.height = bmp.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bmp, 0, 0);
+  bmp.close?.();
+  const { data: px } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const data = new Float32Array(canvas.width * canvas.height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (px[i * 4] + px[i * 4 + 1] + px[i * 4 + 2]) / (3 * 255);
+  }
+  return { width: canvas.width, height: canvas.height, data, bits: 8 };
+}
+
+// 16-bit unsigned RAW (Unity/WorldMachine style). width 0 = assume square.
+function decodeRaw16(buffer, { width = 0, littleEndian = true } = {}) {
+  const count = buffer.byteLength >> 1;
+  const w = width > 0 ? width : Math.round(Math.sqrt(count));
+  const h = Math.floor(count / w);
+  if (!w || !h || w * h !== count) {
+    throw new Error(`[heightmap] RAW size ${buffer.byteLength} bytes does not fit a ${width > 0 ? `${w}-wide` : 'square'} 16-bit grid.`);
+  }
+  const dv = new DataView(buffer);
+  const data = new Float32Array(count);
+  for (let i = 0; i < count; i++) data[i] = dv.getUint16(i * 2, littleEndian) / 65535;
+  return { width: w, height: h, data, bits: 16 };
+}
+
+export async function decodeHeightmapFile(file, rawOpts = {}) {
+  const name = (file.name || '').toLowerCase();
+  if (name.endsWith('.raw') || name.endsWith('.r16')) {
+    return decodeRaw16(await file.arrayBuffer(), rawOpts);
+  }
+  if (name.endsWith('.png') || file.type === 'image/png') {
+    const img = await decodePng16(await file.arrayBuffer());
+    if (img) return img;
+  }
+  return decodeWithCanvas(file);
+}
+
+// ---------- resampling ----------
+function _sampleBilinear(img, u, v) {
+  const { width, height, data } = img;
+  const x = THREE.MathUtils.clamp(u, 0, 1) * (width - 1);
+  const y = THREE.MathUtils.clamp(v, 0, 1) * (height - 1);
+  const x0 = Math.floor(x), y0 = Math.floor(y);
+  const x1 = Math.min(width - 1, x0 + 1), y1 = Math.min(height - 1, y0 + 1);
+  const fx = x - x0, fy = y - y0;
+  const a = data[y0 * width + x0], b = data[y0 * width + x1];
+  const c = data[y1 * width + x0], d = data[y1 * width + x1];
+  return (a * (1 - fx) + b * fx) * (1 - fy) + (c * (1 - fx) + d * fx) * fy;
+}
+
+/**
+ * Resample a decoded image onto a (xSegments+1) × (ySegments+1) vertex grid.
+ * opts: { rotate: 0|90|180|270 (clockwise), flipX, flipY, fit: 'stretch'|'crop',
+ *         outMin, outMax, aspect (grid world width / height) }
+ * Returns per-vertex heights (row-major, row 0 = image top = -Z edge).
+ */
+export function resampleHeightmap(img, xSegments, ySegments, opts = {}) {
+  const { rotate = 0, flipX = false, flipY = false, fit = 'stretch', outMin = 0, outMax = 1 } = opts;
+  const aspect = opts.aspect ?? (xSegments / ySegments);
+
+  const swap = rotate === 90 || rotate === 270;
+  const rw = swap ? img.height : img.width;
+  const rh = swap ? img.width : img.height;
+
+  // crop = scale to cover the grid, keep aspect, center
+  let su = 1, sv = 1;
+  if (fit === 'crop') {
+    const ia = rw / rh;
+    if (ia > aspect) su = aspect / ia;
+    else sv = ia / aspect;
+  }
+
+  const out = new Float32Array((xSegments + 1) * (ySegments + 1));
+  const range = outMax - outMin;
+  let k = 0;
+  for (let r = 0; r <= ySegments; r++) {
+    for (let c = 0; c <= xSegments; c++) {
+      let u = 0.5 + (c / xSegments - 0.5) * su;
+      let v = 0.5 + (r / ySegments - 0.5) * sv;
+      if (flipX) u = 1 - u;
+      if (flipY) v = 1 - v;
+      let iu = u, iv = v; // undo the clockwise rotation
+      if (rotate === 90)       { iu = v;     iv = 1 - u; }
+      else if (rotate === 180) { iu = 1 - u; iv = 1 - v; }
+      else if (rotate === 270) { iu = 1 - v; iv = u; }
+      out[k++] = outMin + _sampleBilinear(img, iu, iv) * range;
+    }
+  }
+  return out;
+}
+
+export function importHeightmap(img, appState, opts = {}) {
+  const { terrainMesh, config } = appState;
+  if (!terrainMesh) return;
+  const { widthSegments, heightSegments } = terrainMesh.geometry.parameters;
+  const heights = resampleHeightmap(img, widthSegments, heightSegments, {
+    ...opts,
+    aspect: config.TILES_X / config.TILES_Y,
+  });
+  applyHeights(appState, heights);
+}
@@ -0,0 +1,317 @@
+// file: src/history.js
+// Undo/redo for terrain edits.
+//
+// Two kinds of entries, both undone and redone by swapping stored values with the
+// current ones (so each entry keeps only one copy of what it changed):
+//  - sparse: per-vertex changes recorded while a group is open (a sculpt stroke from
+//            pointerdown to pointerup, a paint tap). Call touchHeights/touchMasks with
+//            the vertex rect *before* writing to it; touchRoads before changing road
+//            bases or the road list (apply / remove / delete road).
+//  - state:  whole-map snapshots around an operation (template, jitter, erosion,
+//            trees, resize...). Pick only the parts the operation changes.
+// Oldest entries are dropped when the total size exceeds the memory budget.
+// Emits 'tc:history' { canUndo, canRedo, undoLabel, redoLabel } after every change.
+
+import { createTerrain, getHeights, applyHeights, commitHeights } from './terrain.js';
+import { placeTrees, getTreePlacements } from './trees.js';
+import { updateCameraBounds } from './camera.js';
+import { MASK_NAMES as LAYER_MASKS } from './texlayers.js';
+import { copyRoadBase } from './roads.js';
+
+const MASK_NAMES = [...LAYER_MASKS, 'paintLock'];
+export const DEFAULT_BUDGET_MB = 64;
+
+export function createHistory(appState, { budgetMB = DEFAULT_BUDGET_MB } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  let budget = budgetMB * 1024 * 1024;
+  let group = null;    // open sparse group
+  let ownRebuild = false; // a snapshot's fn is rebuilding the terrain itself
+  let epoch = 0;       // bumped by clear(); snapshots begun before it record nothing
+  let restoring = false;
+
+  // ---------- value access by target name ('heights' | 'mask1'..'maskN' | 'paintLock') ----------
+  function accessor(target) {
+    const geom = appState.terrainMesh?.geometry;
+    if (!geom) return null;
+    if (target === 'heights') {
+      const a = geom.attributes.position.array;
+      return { count: a.length / 3, get: i => a[i * 3 + 1], set: (i, v) => { a[i * 3 + 1] = v; } };
+    }
+    const attr = geom.getAttribute(target);
+    if (!attr) return null;
+    const a = attr.array;
+    return { count: a.length, get: i => a[i], set: (i, v) => { a[i] = v; }, attr };
+  }
+
+  function notify() {
+    const detail = {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoLabel: undoStack.at(-1)?.label || '',
+      redoLabel: redoStack.at(-1)?.label || '',
+    };
+    try { window.dispatchEvent(new CustomEvent('tc:history', { detail })); } catch(_) {}
+  }
+
+  function trim() {
+    let total = undoStack.reduce((n, e) => n + e.bytes, 0) + redoStack.reduce((n, e) => n + e.bytes, 0);
+    // redo entries go first (furthest from the present), then the oldest undo steps;
+    // the newest undo step is always kept even if it alone is over budget
+    while (total > budget && redoStack.length) total -= redoStack.shift().bytes;
+    while (total > budget && undoStack.length > 1) total -= undoStack.shift().bytes;
+  }
+
+  function push(entry) {
+    undoStack.push(entry);
+    redoStack.length = 0;
+    trim();
+    notify();
+  }
+
+  // ---------- sparse groups ----------
+  function begin(label) {
+    if (group) end();
+    group = { label, parts: new Map(), rect: null, roads: null };
+  }
+
+  // ---------- roads ----------
+  // Every road's base (removing one road also rebases the roads it crosses) and the
+  // list itself, so undo puts back the bases that match the restored heights.
+  function baseBytes(bases) {
+    let n = 0;
+    bases.forEach((b) => { if (b) ['idx', 'heights', 'after', 'masks', 'painted'].forEach((k) => { n += b[k]?.byteLength || 0; }); });
+    return n;
+  }
+
+  function touchRoads() {
+    if (!group || restoring || group.roads) return;
+    const list = appState.roads || [];
+    group.roads = {
+      list: list.slice(),
+      refs: new Map(list.map(r => [r, r.base])),
+      bases: new Map(list.map(r => [r, copyRoadBase(r.base)])),
+    };
+  }
+
+  // Roads part of an entry: the bases before the group, and the roads it added or removed
+  function endRoads(saved) {
+    const list = appState.roads || [];
+    const members = [];
+    saved.list.forEach((r, index) => { if (!list.includes(r)) members.push({ road: r, index, inList: true }); });
+    list.forEach((r, index) => { if (!saved.list.includes(r)) members.push({ road: r, index, inList: false }); });
+    // bases are replaced, never edited, except the crossing roads a restore rebases
+    // in place, and that restore always replaces its own road's base
+    const changed = members.length || saved.list.some(r => r.base !== saved.refs.get(r));
+    return changed ? { bases: saved.bases, members } : null;
+  }
+
+  function swapRoads(part) {
+    const list = appState.roads;
+    for (const m of part.members) {
+      const at = list.indexOf(m.road);
+      if (m.inList && at < 0) list.splice(Math.min(m.index, list.length), 0, m.road);
+      else if (!m.inList && at >= 0) list.splice(at, 1);
+      m.inList = !m.inList;
+    }
+    part.bases.forEach((base, r) => {
+      const cur = copyRoadBase(r.base);
+      r.base = base;
+      part.bases.set(r, cur);
+    });
+  }
+
+  function touch(target, rect) {
+    if (!group || restoring) return;
+    const acc = accessor(target);
+    if (!acc) return;
+    let part = group.parts.get(target);
+    if (!part) {
+      part = { seen: new Uint8Array(acc.count), idx: [], values: [] };
+      group.parts.set(target, part);
+    }
+    const vpr = appState.terrainMesh.geometry.parameters.widthSegments + 1;
+    for (let r = rect.r0; r <= rect.r1; r++) {
+      for (let c = rect.c0; c <= rect.c1; c++) {
+        const i = r * vpr + c;
+        if (part.seen[i]) continue;
+        part.seen[i] = 1;
+        part.idx.push(i);
+        part.values.push(acc.get(i));
+      }
+    }
+    const g = group.rect;
+    group.rect = g
+      ? { c0: Math.min(g.c0, rect.c0), r0: Math.min(g.r0, rect.r0), c1: Math.max(g.c1, rect.c1), r1: Math.max(g.r1, rect.r1) }
+      : { ...rect };
+  }
+
+  function end() {
+    const g = group;
+    group = null;
+    if (!g) return;
+    const parts = [];
+    let bytes = 0;
+    g.parts.forEach((part, target) => {
+      const acc = accessor(target);
+      if (!acc) return;
+      // keep only vertices that actually changed
+      const keep = [];
+      for (let k = 0; k < part.idx.length; k++) if (acc.get(part.idx[k]) !== part.values[k]) keep.push(k);
+      if (!keep.length) return;
+      const idx = new Uint32Array(keep.length), values = new Float32Array(keep.length);
+      keep.forEach((k, n) => { idx[n] = part.idx[k]; values[n] = part.values[k]; });
+      parts.push({ target, idx, values });
+      bytes += idx.byteLength + values.byteLength;
+    });
+    const roads = g.roads && endRoads(g.roads);
+    if (roads) bytes += baseBytes(roads.bases);
+    if (parts.length || roads) push({ label: g.label, kind: 'sparse', parts, roads, rect: g.rect, bytes });
+  }
+
+  function swapSparse(entry) {
+    for (const part of entry.parts) {
+      const acc = accessor(part.target);
+      if (!acc) continue;
+      for (let k = 0; k < part.idx.length; k++) {
+        const i = part.idx[k];
+        const cur = acc.get(i);
+        acc.set(i, part.values[k]);
+        part.values[k] = cur;
+      }
+      if (acc.attr) acc.attr.needsUpdate = true;
+      else commitHeights(appState, entry.rect);
+    }
+    if (entry.roads) swapRoads(entry.roads);
+  }
+
+  // ---------- whole-map states ----------
+  // what: { heights, masks, trees, size } — size implies everything (terrain is rebuilt)
+  function capture(what) {
+    const all = !!what.size;
+    const state = { bytes: 0 };
+    if (all) state.tiles = { x: appState.config.TILES_X, y: appState.config.TILES_Y };
+    if (all || what.heights) {
+      state.heights = getHeights(appState);
+      state.bytes += state.heights.byteLength;
+    }
+    if (all || what.masks) {
+      state.masks = MASK_NAMES.map(n => appState.terrainMesh.geometry.getAttribute(n)?.array.slice() || null);
+      state.bytes += state.masks.reduce((n, m) => n + (m ? m.byteLength : 0), 0);
+    }
+    if (all || what.trees) {
+      state.trees = getTreePlacements(appState);
+      state.bytes += state.trees.length * 48; // rough
+    }
+    if (all) state.marker = appState.ball ? { i: appState.ball.tileI, j: appState.ball.tileJ } : null;
+    return state;
+  }
+
+  function restore(state) {
+    const { config } = appState;
+    if (state.tiles && (state.tiles.x !== config.TILES_X || state.tiles.y !== config.TILES_Y)) {
+      config.TILES_X = state.tiles.x;
+      config.TILES_Y = state.tiles.y;
+      createTerrain(appState);
+      updateCameraBounds(appState);
+      try { window.dispatchEvent(new Event('tc:terrain-rebuilt')); } catch(_) {}
+    }
+    if (state.heights) applyHeights(appState, state.heights);
+    if (state.masks) {
+      const geom = appState.terrainMesh.geometry;
+      MASK_NAMES.forEach((n, k) => {
+        const attr = geom.getAttribute(n);
+        if (!attr || !state.masks[k] || attr.array.length !== state.masks[k].length) return;
+        attr.array.set(state.masks[k]);
+        attr.needsUpdate = true;
+      });
+    }
+    if (state.trees) placeTrees(state.trees, appState);
+    if (state.marker) appState.ball?.placeOnTile(state.marker.i, state.marker.j);
+  }
+
+  function swapState(entry) {
+    const cur = capture({
+      size: !!entry.state.tiles,
+      heights: !!entry.state.heights,
+      masks: !!entry.state.masks,
+      trees: !!entry.state.trees,
+    });
+    restore(entry.state);
+    entry.state = cur;
+    entry.bytes = cur.bytes;
+  }
+
+  /**
+   * Snapshot the parts in `what`, run fn (may be async), then record one undo step.
+   * Nothing is recorded if fn throws (e.g. a cancelled worker job) or the history
+   * was cleared while it ran. Only a rebuild fn itself does synchronously (generate,
+   * resize) keeps the history; any other one clears it.
+   */
+  async function snapshot(label, what, fn) {
+    if (!appState.terrainMesh) return fn();
+    if (group) end();
+    const state = capture(what);
+    const since = epoch;
+    let pending;
+    ownRebuild = true;
+    try {
+      pending = fn();
+    } finally {
+      ownRebuild = false;
+    }
+    await pending;
+    if (epoch !== since) return;
+    push({ label, kind: 'state', state, bytes: state.bytes });
+  }
+
+  function step(from, to) {
+    if (group) end();
+    const entry = from.pop();
+    if (!entry) return false;
+    restoring = true;
+    try {
+      if (entry.kind === 'sparse') swapSparse(entry);
+      else swapState(entry);
+    } finally {
+      restoring = false;
+    }
+    to.push(entry);
+    trim();
+    notify();
+    return true;
+  }
+
+  function clear() {
+    epoch++;
+    group = null;
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+  }
+
+  // A rebuild we didn't cause (project load) invalidates every recorded index
+  window.addEventListener('tc:terrain-rebuilt', () => {
+    if (!ownRebuild && !restoring) clear();
+  });
+
+  return {
+    begin,
+    end,
+    touchHeights: rect => touch('heights', rect),
+    touchMasks: rect => MASK_NAMES.forEach(n => touch(n, rect)),
+    touchRoads,
+    snapshot,
+    undo: () => step(undoStack, redoStack),
+    redo: () => step(redoStack, undoStack),
+    clear,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    setBudgetMB(mb) {
+      budget = Math.max(1, mb) * 1024 * 1024;
+      trim();
+      notify();
+    },
+    usedBytes: () => undoStack.reduce((n, e) => n + e.bytes, 0) + redoStack.reduce((n, e) => n + e.bytes, 0),
+  };
+}
@@ -0,0 +1,74 @@
+// file: src/jobclient.js
+// Main-thread side of the terrain worker. Jobs run one after another on a single
+// module worker; heights travel as transferred Float32Arrays. Cancelling
+// terminates the worker (a running loop can't be interrupted any other way) and
+// rejects every pending job with an AbortError; the next job starts a fresh worker.
+// Without Worker support, jobs run inline on the main thread.
+
+import { JOBS } from './jobs.js';
+
+let worker = null;
+let nextId = 1;
+const pending = new Map(); // id -> { resolve, reject, onProgress }
+
+function abortError() {
+  const e = new Error('[jobs] Cancelled.');
+  e.name = 'AbortError';
+  return e;
+}
+
+function failAll(err) {
+  pending.forEach(p => p.reject(err));
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL('./jobs.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (e) => {
+    const { id, progress, heights, error } = e.data;
+    const p = pending.get(id);
+    if (!p) return;
+    if (progress != null) { p.onProgress?.(progress); return; }
+    pending.delete(id);
+    if (error) p.reject(new Error(error));
+    else p.resolve(heights);
+  };
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    worker.terminate();
+    worker = null;
+    failAll(new Error(`[jobs] Worker failed: ${e.message || 'could not start'}`));
+  };
+  return worker;
+}
+
+/**
+ * Run a job from jobs.js. payload.heights (if any) is transferred and must not be
+ * used afterwards. Resolves to the resulting Float32Array.
+ */
+export function runTerrainJob(type, payload, onProgress) {
+  if (!JOBS[type]) return Promise.reject(new Error(`[jobs] Unknown job "${type}".`));
+
+  if (typeof Worker === 'undefined') {
+    return new Promise((resolve, reject) => setTimeout(() => {
+      try { resolve(JOBS[type](payload, onProgress)); } catch (e) { reject(e); }
+    }, 0));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    const transfer = payload.heights ? [payload.heights.buffer] : [];
+    getWorker().postMessage({ id, type, payload }, transfer);
+  });
+}
+
+// Stop everything in flight; returns false when nothing was running.
+export function cancelTerrainJobs() {
+  if (!pending.size) return false;
+  worker?.terminate();
+  worker = null;
+  failAll(abortError());
+  return true;
+}
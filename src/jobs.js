@@ -0,0 +1,45 @@
+// file: src/jobs.js
+// Heavy heightfield passes as plain functions over Float32Arrays (no THREE / DOM),
+// shared by the terrain worker and the main-thread fallback.
+// Every job is (payload, onProgress(0..1)) -> Float32Array of heights.
+
+import Terrain from '../vendor/THREE.Terrain.mjs';
+import { makeRng } from './random.js';
+import { createHydraulicErosion, createThermalErosion } from './erosion.js';
+
+// Step an eroder to completion, reporting progress between slices
+function drain(eroder, chunk, onProgress) {
+  while (eroder.done < eroder.total) {
+    eroder.step(chunk);
+    onProgress?.(eroder.done / eroder.total);
+  }
+}
+
+export const JOBS = {
+  // options: Terrain.generateHeights options; easing by name (functions can't be posted)
+  generate({ options }, onProgress) {
+    const easing = typeof Terrain[options.easing] === 'function' ? Terrain[options.easing] : Terrain.Linear;
+    return Terrain.generateHeights({ ...options, easing }, onProgress);
+  },
+
+  // Random per-vertex offset of ±amount, clamped to [min, max]
+  jitter({ heights, amount, seed, min, max }, onProgress) {
+    const rand = makeRng(seed, 'jitter');
+    for (let i = 0; i < heights.length; i++) {
+      const y = heights[i] + (rand() * 2 - 1) * amount;
+      heights[i] = Math.min(max, Math.max(min, y));
+    }
+    onProgress?.(1);
+    return heights;
+  },
+
+  hydraulic({ heights, width, height, options }, onProgress) {
+    drain(createHydraulicErosion(heights, width, height, options), 2000, onProgress);
+    return heights;
+  },
+
+  thermal({ heights, width, height, cellSize, options }, onProgress) {
+    drain(createThermalErosion(heights, width, height, cellSize, options), 2, onProgress);
+    return heights;
+  },
+};
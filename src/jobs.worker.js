@@ -0,0 +1,26 @@
+// file: src/jobs.worker.js
+// Module worker running JOBS off the main thread.
+// in:  { id, type, payload }          (payload.heights is transferred in)
+// out: { id, progress } | { id, heights } (transferred back) | { id, error }
+
+import { JOBS } from './jobs.js';
+
+const PROGRESS_MS = 50; // throttle progress messages
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data;
+  try {
+    const job = JOBS[type];
+    if (!job) throw new Error(`[jobs] Unknown job "${type}".`);
+    let last = 0;
+    const heights = job(payload, (t) => {
+      const now = performance.now();
+      if (now - last < PROGRESS_MS && t < 1) return;
+      last = now;
+      self.postMessage({ id, progress: t });
+    });
+    self.postMessage({ id, heights }, [heights.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,136 @@
+// file: src/layers.js
+// Non-destructive height generation: an ordered stack of generator layers from the
+// Terrain shim, each with its own frequency/octaves/amplitude/offset and blend mode.
+// The stack lives in appState.layerStack (saved with the project) and is
+// re-evaluated into the heightfield on demand; noise is generated in the terrain worker.
+//
+// Layer value:  v = noise(-1..1) * amplitude + offset   (world units)
+// Blend modes:  add      H += v
+//               multiply H *= v        (amplitude/offset act as a unitless factor)
+//               max/min  H = max/min(H, v)
+//               mask     H += v * m    (m = 0..1 noise of the layer referenced by `mask`)
+
+import { applyHeights } from './terrain.js';
+import { deriveSeed } from './random.js';
+import { runTerrainJob } from './jobclient.js';
+
+export const GENERATORS = [
+  'Perlin', 'Simplex', 'Value', 'DiamondSquare', 'Fault', 'Cosine', 'Worley', 'WorleyF2', 'WorleyF2F1',
+];
+export const BLEND_MODES = ['add', 'multiply', 'max', 'min', 'mask'];
+
+let _nextId = 1;
+
+export function makeLayer(over = {}) {
+  const id = _nextId++;
+  return {
+    id,
+    enabled: true,
+    generator: 'Perlin',
+    frequency: 2.5,
+    octaves: 5,
+    amplitude: 250,
+    offset: 50,
+    mode: 'add',
+    mask: null,  // id of an earlier layer (mask mode only)
+    seed: id,    // per-layer variation, mixed with config.SEED
+    ...over,
+  };
+}
+
+export function defaultLayerStack() {
+  return [makeLayer()];
+}
+
+// Sanitize a stack read from a project file and keep new ids unique
+export function normalizeLayers(list) {
+  if (!Array.isArray(list)) return defaultLayerStack();
+  const num = (v, d, lo = -1e5, hi = 1e5) => (Number.isFinite(v) ? Math.min(hi, Math.max(lo, v)) : d);
+  // fresh ids start above every saved one
+  _nextId = Math.max(_nextId, ...list.map(l => (Number.isInteger(l?.id) ? l.id + 1 : 0)));
+  const d = makeLayer();
+  const seen = new Set();
+  return list.filter(l => l && typeof l === 'object').map((l) => {
+    const layer = makeLayer({
+      enabled: l.enabled !== false,
+      generator: GENERATORS.includes(l.generator) ? l.generator : 'Perlin',
+      frequency: num(l.frequency, d.frequency, 0.1, 64),
+      octaves: Math.round(num(l.octaves, d.octaves, 1, 10)),
+      amplitude: num(l.amplitude, d.amplitude),
+      offset: num(l.offset, d.offset),
+      mode: BLEND_MODES.includes(l.mode) ? l.mode : 'add',
+      mask: Number.isInteger(l.mask) ? l.mask : null,
+    });
+    if (Number.isInteger(l.id) && l.id > 0 && !seen.has(l.id)) layer.id = l.id;
+    seen.add(layer.id);
+    layer.seed = Number.isFinite(l.seed) ? l.seed : layer.id;
+    return layer;
+  });
+}
+
+// ---------- noise cache (amplitude/offset/mode tweaks don't regenerate) ----------
+const _cache = new Map();
+const CACHE_MAX = 8;
+
+async function layerNoise(layer, config, xSegments, ySegments, onProgress) {
+  const seed = deriveSeed(config.SEED, `layer:${layer.seed}`);
+  const key = `${layer.generator}|${layer.frequency}|${layer.octaves}|${seed}|${xSegments}x${ySegments}`;
+  if (_cache.has(key)) {
+    const hit = _cache.get(key);
+    _cache.delete(key); _cache.set(key, hit); // LRU bump
+    return hit;
+  }
+  const out = await runTerrainJob('generate', {
+    options: {
+      heightmap: layer.generator,
+      frequency: layer.frequency,
+      octaves: layer.octaves,
+      minHeight: -1,
+      maxHeight: 1,
+      xSegments,
+      ySegments,
+      seed,
+    },
+  }, onProgress);
+
+  _cache.set(key, out);
+  if (_cache.size > CACHE_MAX) _cache.delete(_cache.keys().next().value);
+  return out;
+}
+
+// onProgress(0..1) spans all enabled layers
+export async function evaluateLayerStack(layers, config, xSegments, ySegments, onProgress) {
+  const count = (xSegments + 1) * (ySegments + 1);
+  const H = new Float32Array(count);
+  const seen = new Map(); // id -> noise, for mask lookups
+  const enabled = layers.filter(l => l.enabled);
+
+  for (const [k, layer] of enabled.entries()) {
+    const n = await layerNoise(layer, config, xSegments, ySegments, t => onProgress?.((k + t) / enabled.length));
+    const amp = +layer.amplitude || 0, off = +layer.offset || 0;
+    const maskNoise = layer.mode === 'mask' ? seen.get(layer.mask) : null;
+
+    for (let i = 0; i < count; i++) {
+      const v = n[i] * amp + off;
+      switch (layer.mode) {
+        case 'multiply': H[i] *= v; break;
+        case 'max':      H[i] = Math.max(H[i], v); break;
+        case 'min':      H[i] = Math.min(H[i], v); break;
+        case 'mask':     H[i] += maskNoise ? v * (maskNoise[i] + 1) * 0.5 : v; break;
+        default:         H[i] += v;
+      }
+    }
+    seen.set(layer.id, n);
+  }
+  return H;
+}
+
+export async function applyLayerStack(appState, onProgress) {
+  const { terrainMesh, config } = appState;
+  if (!terrainMesh) return;
+  if (!appState.layerStack) appState.layerStack = defaultLayerStack();
+  const { widthSegments, heightSegments } = terrainMesh.geometry.parameters;
+  const H = await evaluateLayerStack(appState.layerStack, config, widthSegments, heightSegments, onProgress);
+  if (appState.terrainMesh !== terrainMesh) throw new Error('[layers] Terrain was rebuilt while the stack was evaluating.');
+  applyHeights(appState, H);
+}
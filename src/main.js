@@ -8,6 +8,13 @@ import { initSculpting, initTapToMove } from './sculpt.js';
 import { initUI, getUiState } from './ui.js';
 import initNavLock from './navlock.js';
 import initTexturePainter from './texturepaint.js';
+import { defaultLayerStack } from './layers.js';
+import { createHistory } from './history.js';
+import { initBrushCursor } from './brushcursor.js';
+import { initSymmetryGuides } from './symmetry.js';
+import { defaultWater, initWater } from './water.js';
+import { defaultAutoPaint } from './autopaint.js';
+import { defaultTextureLayers, defaultTextureOptions } from './texlayers.js';
 
 async function startApp() {
   console.log('THREE revision:', THREE.REVISION);
@@ -15,14 +22,25 @@ async function startApp() {
   const appState = {
     renderer: null, scene: null, camera: null, controls: null,
     dirLight: null, lightTarget: null,
-    terrainGroup: null, terrainMesh: null, terrainMaterial: null,
+    terrainGroup: null, terrainMesh: null, terrainMaterial: null, terrainChunks: null,
     treesGroup: null, ball: null,
     gridLines: null,
     camFollowEnabled: true,
     painter: null,
+    history: null,
+    symmetry: { mode: 'off', count: 4, center: null }, // see symmetry.js
+    roads: [], // see roads.js
+    roadEditor: null,
+    waterView: null,
+    water: defaultWater(), // see water.js
+    autoPaint: defaultAutoPaint(), // see autopaint.js
+    textureLayers: defaultTextureLayers(), // see texlayers.js
+    textureOptions: defaultTextureOptions(),
+    layerStack: defaultLayerStack(),
     config: {
       TILES_X: 30, TILES_Y: 30, TILE_SIZE: 32,
       MIN_H: -200, MAX_H: 300,
+      SEED: 1234, // drives every random source (see random.js)
       CHAR_HEIGHT_UNITS: 32 * 1.0,
       TREE_MIN_RATIO: 10/6, TREE_MAX_RATIO: 15/6,
     }
@@ -64,16 +82,21 @@ async function startApp() {
 
   // Build terrain + UI
   createTerrain(appState);
+  appState.history = createHistory(appState);
   initUI(appState);
   initSculpting(appState, getUiState);
+  const brushCursor = initBrushCursor(appState, getUiState);
+  const symmetryGuides = initSymmetryGuides(appState);
+  appState.waterView = initWater(appState);
 
   // Texture painter
   const painter = initTexturePainter(appState);
   appState.painter = painter;
   painter.attachToTerrain();
+  painter.refreshLayers().catch(console.error);
 
-  // Set default: whole map = Sand (mask1=1)
-  painter.fillAll('sand');
+  // Set default: whole map = the base layer (Sand)
+  painter.fillAll();
 
   // Tap-to-move, gated by HUD/painter
   let allowTapMove = true;
@@ -113,6 +136,11 @@ async function startApp() {
       appState.controls.lookAt(appState.ball.mesh.position);
     }
     appState.controls.update();
+    appState.terrainChunks?.update(camera); // LOD pick + attribute sharing
+    brushCursor.update();
+    symmetryGuides.update();
+    appState.roadEditor?.update();
+    appState.waterView.update();
     renderer.render(scene, camera);
   });
 }
@@ -0,0 +1,204 @@
+// file: src/project.js
+// Project files (.tcproj): one binary file = JSON manifest + packed typed arrays.
+//
+// Layout (little-endian):
+//   bytes 0..3    magic 'TCPJ'
+//   bytes 4..7    uint32 format version
+//   bytes 8..11   uint32 manifest length (UTF-8 JSON bytes)
+//   bytes 12..    manifest JSON, zero-padded to a 4-byte boundary
+//   then          binary section; manifest.buffers[] = { name, type, offset, length }
+//                 (offset in bytes from the start of the binary section, 4-byte aligned)
+
+import { createTerrain, commitHeights, SUBDIVISIONS } from './terrain.js';
+import { placeTrees, getTreePlacements } from './trees.js';
+import { updateCameraBounds } from './camera.js';
+import { normalizeLayers } from './layers.js';
+import { normalizeRoads, serializeRoads, roadArrays, attachRoadArrays } from './roads.js';
+import { normalizeWater, serializeWater } from './water.js';
+import { normalizeAutoPaint } from './autopaint.js';
+import {
+  MASK_NAMES as LAYER_MASKS, serializeTextureLayers, textureLayerArrays, normalizeTextureLayers,
+  normalizeTextureOptions,
+} from './texlayers.js';
+import { downloadBlob } from './utils.js';
+
+const MAGIC = 0x4A504354; // 'TCPJ' read as little-endian uint32
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 12;
+const MASK_NAMES = [...LAYER_MASKS, 'paintLock'];
+
+const CONFIG_KEYS = [
+  'TILES_X', 'TILES_Y', 'TILE_SIZE', 'MIN_H', 'MAX_H', 'SEED',
+  'CHAR_HEIGHT_UNITS', 'TREE_MIN_RATIO', 'TREE_MAX_RATIO',
+];
+
+const ARRAY_TYPES = { Float32Array, Uint8Array, Uint16Array, Int32Array, Uint32Array };
+
+const _align4 = (n) => (n + 3) & ~3;
+
+// ---------- packing ----------
+function packProject(manifest, arrays) {
+  const buffers = [];
+  let offset = 0;
+  for (const [name, arr] of Object.entries(arrays)) {
+    buffers.push({ name, type: arr.constructor.name, offset, length: arr.length });
+    offset = _align4(offset + arr.byteLength);
+  }
+  const json = new TextEncoder().encode(JSON.stringify({ ...manifest, buffers }));
+  const jsonBytes = _align4(json.byteLength);
+
+  const out = new Uint8Array(HEADER_BYTES + jsonBytes + offset);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, MAGIC, true);
+  dv.setUint32(4, FORMAT_VERSION, true);
+  dv.setUint32(8, json.byteLength, true);
+  out.set(json, HEADER_BYTES);
+
+  const binStart = HEADER_BYTES + jsonBytes;
+  buffers.forEach((b) => {
+    const arr = arrays[b.name];
+    out.set(new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength), binStart + b.offset);
+  });
+  return out.buffer;
+}
+
+function unpackProject(buffer) {
+  if (buffer.byteLength < HEADER_BYTES) throw new Error('[project] File is too small to be a project.');
+  const dv = new DataView(buffer);
+  if (dv.getUint32(0, true) !== MAGIC) throw new Error('[project] Not a TerrainCreator project file.');
+  const version = dv.getUint32(4, true);
+  if (version > FORMAT_VERSION) {
+    throw new Error(`[project] File format v${version} is newer than supported (v${FORMAT_VERSION}).`);
+  }
+  const jsonLen = dv.getUint32(8, true);
+  if (HEADER_BYTES + jsonLen > buffer.byteLength) throw new Error('[project] Manifest is truncated.');
+  const manifest = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, HEADER_BYTES, jsonLen)));
+
+  const binStart = HEADER_BYTES + _align4(jsonLen);
+  const arrays = {};
+  for (const b of manifest.buffers || []) {
+    const Type = ARRAY_TYPES[b.type];
+    if (!Type) throw new Error(`[project] Unknown buffer type "${b.type}" for "${b.name}".`);
+    const start = binStart + b.offset;
+    if (start + b.length * Type.BYTES_PER_ELEMENT > buffer.byteLength) {
+      throw new Error(`[project] Buffer "${b.name}" is truncated.`);
+    }
+    // copy out so the arrays don't pin the whole file
+    arrays[b.name] = new Type(buffer.slice(start, start + b.length * Type.BYTES_PER_ELEMENT));
+  }
+  return { version, manifest, arrays };
+}
+
+// ---------- save ----------
+export function serializeProject(appState) {
+  const { terrainMesh, config, ball } = appState;
+  if (!terrainMesh) throw new Error('[project] No terrain to save.');
+
+  const geom = terrainMesh.geometry;
+  const pos = geom.attributes.position;
+  const { widthSegments, heightSegments } = geom.parameters;
+
+  const heights = new Float32Array(pos.count);
+  for (let i = 0; i < pos.count; i++) heights[i] = pos.array[i * 3 + 1];
+
+  const arrays = { heights };
+  MASK_NAMES.forEach((name) => {
+    const a = geom.getAttribute(name);
+    if (a) arrays[name] = a.array.slice();
+  });
+  Object.assign(arrays, roadArrays(appState.roads || []));
+  Object.assign(arrays, textureLayerArrays(appState.textureLayers || []));
+
+  const manifest = {
+    app: 'TerrainCreator',
+    savedAt: new Date().toISOString(),
+    config: Object.fromEntries(CONFIG_KEYS.map(k => [k, config[k]])),
+    grid: { widthSegments, heightSegments },
+    marker: ball ? { i: ball.tileI, j: ball.tileJ } : null,
+    trees: getTreePlacements(appState),
+    layers: appState.layerStack || [],
+    roads: serializeRoads(appState.roads || []),
+    water: appState.water ? serializeWater(appState.water) : null,
+    autoPaint: appState.autoPaint || null,
+    textureLayers: serializeTextureLayers(appState.textureLayers || []),
+    textureOptions: appState.textureOptions || null,
+  };
+
+  return packProject(manifest, arrays);
+}
+
+export function saveProject(appState, filename = 'terrain.tcproj') {
+  const buf = serializeProject(appState);
+  downloadBlob(new Blob([buf], { type: 'application/octet-stream' }), filename);
+}
+
+// ---------- load ----------
+export function applyProject(buffer, appState) {
+  const { manifest, arrays } = unpackProject(buffer);
+
+  // validate into a copy: nothing is applied unless the whole file checks out
+  const cfg = manifest.config || {};
+  const config = { ...appState.config };
+  for (const k of CONFIG_KEYS) {
+    if (cfg[k] == null) continue;
+    if (!Number.isFinite(cfg[k])) throw new Error(`[project] Invalid config value ${k}.`);
+    config[k] = cfg[k];
+  }
+  // same limits as the size inputs
+  config.TILES_X = Math.max(2, Math.min(256, Math.round(config.TILES_X)));
+  config.TILES_Y = Math.max(2, Math.min(256, Math.round(config.TILES_Y)));
+  for (const k of ['TILE_SIZE', 'CHAR_HEIGHT_UNITS', 'TREE_MIN_RATIO', 'TREE_MAX_RATIO']) {
+    if (!(config[k] > 0)) throw new Error(`[project] ${k} must be positive.`);
+  }
+  if (!(config.MIN_H < config.MAX_H)) throw new Error('[project] MIN_H must be below MAX_H.');
+  const tilesX = config.TILES_X;
+  const tilesY = config.TILES_Y;
+  const { widthSegments, heightSegments } = manifest.grid || {};
+  if (widthSegments !== tilesX * SUBDIVISIONS || heightSegments !== tilesY * SUBDIVISIONS) {
+    throw new Error('[project] Saved grid does not match the terrain subdivisions.');
+  }
+  const heights = arrays.heights;
+  if (!heights || heights.length !== (widthSegments + 1) * (heightSegments + 1)) {
+    throw new Error('[project] Height data does not match the grid.');
+  }
+
+  // Rebuild terrain at the saved size, then let the painter reattach its masks
+  Object.assign(appState.config, config);
+  createTerrain(appState);
+  updateCameraBounds(appState);
+  try { window.dispatchEvent(new Event('tc:terrain-rebuilt')); } catch(_) {}
+
+  const geom = appState.terrainMesh.geometry;
+  const pos = geom.attributes.position;
+  for (let i = 0; i < pos.count; i++) pos.array[i * 3 + 1] = heights[i];
+  commitHeights(appState);
+
+  MASK_NAMES.forEach((name) => {
+    const a = geom.getAttribute(name);
+    const src = arrays[name];
+    if (a && src && src.length === a.count) {
+      a.array.set(src);
+      a.needsUpdate = true;
+    }
+  });
+
+  if (manifest.layers) appState.layerStack = normalizeLayers(manifest.layers);
+  appState.textureLayers = normalizeTextureLayers(manifest.textureLayers, arrays, appState.config.TILE_SIZE);
+  appState.textureOptions = normalizeTextureOptions(manifest.textureOptions);
+  appState.roads = normalizeRoads(manifest.roads);
+  attachRoadArrays(appState.roads, manifest.roads, arrays, pos.count);
+  appState.water = normalizeWater(manifest.water);
+  appState.autoPaint = normalizeAutoPaint(manifest.autoPaint);
+
+  placeTrees(manifest.trees || [], appState);
+  if (manifest.marker) appState.ball?.placeOnTile(manifest.marker.i, manifest.marker.j);
+  else appState.ball?.refresh();
+
+  try { window.dispatchEvent(new CustomEvent('tc:project-loaded', { detail: { manifest } })); } catch(_) {}
+  return manifest;
+}
+
+export async function loadProjectFile(file, appState) {
+  const buf = await file.arrayBuffer();
+  return applyProject(buf, appState);
+}
@@ -0,0 +1,35 @@
+// file: src/random.js
+// Seeded randomness. Every random source in the app derives its own stream from
+// config.SEED plus a fixed salt, so the same seed + settings rebuild the same map.
+
+// mulberry32: tiny, fast 32-bit PRNG -> floats in [0,1)
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Mix a salt string into a seed (FNV-1a over the salt, then xor-shift)
+export function deriveSeed(seed, salt = '') {
+  let h = (2166136261 ^ (seed >>> 0)) >>> 0;
+  for (let i = 0; i < salt.length; i++) {
+    h ^= salt.charCodeAt(i);
+    h = Math.imul(h, 16777619) >>> 0;
+  }
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+export function makeRng(seed, salt = '') {
+  return mulberry32(deriveSeed(seed, salt));
+}
+
+// Fresh seed for the "new seed" button
+export function randomSeed() {
+  return (Math.random() * 1e9) | 0;
+}
@@ -0,0 +1,110 @@
+// file: src/resize.js
+// Change the map's tile counts without losing work.
+//  - resample: stretch the existing heights and texture masks to the new size
+//              (tree and marker tiles scale with it)
+//  - canvas:   keep content 1:1 at an anchor, crop what falls outside and pad
+//              new tiles with a fill height (and the base texture)
+
+import { createTerrain, getHeights, applyHeights, SUBDIVISIONS } from './terrain.js';
+import { placeTrees, getTreePlacements } from './trees.js';
+import { updateCameraBounds } from './camera.js';
+import { resampleGrid } from './utils.js';
+import { MASK_NAMES as LAYER_MASKS } from './texlayers.js';
+
+const MASK_NAMES = [...LAYER_MASKS, 'paintLock'];
+
+// Anchor -> where the old map sits inside the new one (0 = -X / -Z edge, 1 = +X / +Z edge)
+export const ANCHORS = {
+  nw: [0, 0],   n: [0.5, 0],   ne: [1, 0],
+  w:  [0, 0.5], center: [0.5, 0.5], e: [1, 0.5],
+  sw: [0, 1],   s: [0.5, 1],   se: [1, 1],
+};
+
+// Copy a w×h vertex grid into a nw×nh grid shifted by (dx, dy); uncovered vertices get `fill`
+function shiftGrid(src, w, h, nw, nh, dx, dy, fill) {
+  const out = new Float32Array(nw * nh).fill(fill);
+  for (let y = 0; y < nh; y++) {
+    const sy = y - dy;
+    if (sy < 0 || sy >= h) continue;
+    for (let x = 0; x < nw; x++) {
+      const sx = x - dx;
+      if (sx >= 0 && sx < w) out[y * nw + x] = src[sy * w + sx];
+    }
+  }
+  return out;
+}
+
+/**
+ * Resize the terrain to tilesX × tilesY.
+ * opts: { mode: 'resample'|'canvas', anchor: key of ANCHORS, fill: height for new area }
+ */
+export function resizeTerrain(appState, tilesX, tilesY, opts = {}) {
+  const { terrainMesh, config } = appState;
+  if (!terrainMesh) return;
+  const { mode = 'resample', anchor = 'center', fill = 0 } = opts;
+  const a = ANCHORS[anchor];
+  if (!a) throw new Error(`[resize] Unknown anchor "${anchor}".`);
+
+  const oldX = config.TILES_X, oldY = config.TILES_Y;
+  const ow = oldX * SUBDIVISIONS + 1, oh = oldY * SUBDIVISIONS + 1;
+  const nw = tilesX * SUBDIVISIONS + 1, nh = tilesY * SUBDIVISIONS + 1;
+
+  // Capture everything that lives on the old grid
+  const heights = getHeights(appState);
+  const geom = terrainMesh.geometry;
+  const masks = MASK_NAMES.map(n => geom.getAttribute(n)?.array.slice() || null);
+  const trees = getTreePlacements(appState);
+  const marker = appState.ball ? { i: appState.ball.tileI, j: appState.ball.tileJ } : null;
+
+  // Tile offset of the old map inside the new one (whole tiles keep vertices aligned)
+  const offI = Math.round(a[0] * (tilesX - oldX));
+  const offJ = Math.round(a[1] * (tilesY - oldY));
+  const mapTile = mode === 'canvas'
+    ? (i, j) => ({ i: i + offI, j: j + offJ })
+    : (i, j) => ({ i: Math.floor((i + 0.5) * tilesX / oldX), j: Math.floor((j + 0.5) * tilesY / oldY) });
+
+  let newHeights, newMasks;
+  if (mode === 'canvas') {
+    const dx = offI * SUBDIVISIONS, dy = offJ * SUBDIVISIONS;
+    newHeights = shiftGrid(heights, ow, oh, nw, nh, dx, dy, fill);
+    const base = appState.textureLayers?.[0]?.mask ?? 0; // new tiles get the base texture
+    newMasks = masks.map((m, k) => m && shiftGrid(m, ow, oh, nw, nh, dx, dy, k === base ? 1 : 0));
+  } else {
+    newHeights = resampleGrid(heights, ow, oh, nw, nh);
+    newMasks = masks.map(m => m && resampleGrid(m, ow, oh, nw, nh));
+  }
+
+  config.TILES_X = tilesX;
+  config.TILES_Y = tilesY;
+  createTerrain(appState);
+  updateCameraBounds(appState);
+  // painter reattaches (fresh mask attributes at the new size)
+  try { window.dispatchEvent(new Event('tc:terrain-rebuilt')); } catch(_) {}
+
+  applyHeights(appState, newHeights);
+
+  const ng = appState.terrainMesh.geometry;
+  MASK_NAMES.forEach((name, k) => {
+    const attr = ng.getAttribute(name);
+    if (!attr || !newMasks[k]) return;
+    attr.array.set(newMasks[k]);
+    attr.needsUpdate = true;
+  });
+
+  // One tree per tile; placeTrees drops anything that fell off the map
+  const seen = new Set();
+  const placements = [];
+  for (const t of trees) {
+    const p = mapTile(t.i, t.j);
+    const key = `${p.i},${p.j}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    placements.push({ ...t, i: p.i, j: p.j });
+  }
+  placeTrees(placements, appState);
+
+  if (marker) {
+    const p = mapTile(marker.i, marker.j);
+    appState.ball?.placeOnTile(p.i, p.j); // clamped to the map
+  }
+}
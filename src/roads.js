@@ -0,0 +1,497 @@
+// file: src/roads.js
+// Spline roads: control points clicked on the terrain, joined by a centripetal
+// Catmull-Rom curve. Applying a road cuts / fills a corridor to the curve's height
+// profile, banks it smoothly into the surroundings and optionally paints a texture
+// along it. appState.roads is saved with the project.
+//
+// Road: { id, name, points: [[i, j], ...] (fractional tile units), width, shoulder,
+//         texture: '' | texture layer key (see texlayers.js), base }
+// width/shoulder are world units. `base` records what the last apply changed
+// ({ idx, heights, after, masks?, painted?, paintMask, rect }: heights before and
+// after, weights before, which vertices got painted and with which mask);
+// re-applying or removing the road takes it back out first, so a road can be
+// edited without carving the old corridor twice. Taking it out keeps later edits:
+// a vertex still at the road's height gets its old height back, one changed since
+// (sculpting, erosion) only loses the road's cut / fill, and one a later road
+// still covers is left to that road; painted weights go back only where nothing
+// painted over them. Undo / redo of apply, remove and delete also swap the bases
+// (and the road list), so they always match the heights on the map.
+
+import * as THREE from 'three';
+import { commitHeights } from './terrain.js';
+import { sampleHeight } from './sculpt.js';
+import { MASK_NAMES, maskNameOf } from './texlayers.js';
+
+const HANDLE_LIFT = 2;
+
+let nextId = 1;
+
+export function makeRoad(props = {}) {
+  const id = props.id ?? nextId++;
+  nextId = Math.max(nextId, id + 1);
+  return {
+    id,
+    name: props.name ?? `Road ${id}`,
+    points: (props.points ?? []).map(([i, j]) => [i, j]),
+    width: props.width ?? 24,
+    shoulder: props.shoulder ?? 32,
+    texture: props.texture ?? 'dryground',
+    base: null,
+  };
+}
+
+// Validate roads read from a project manifest
+export function normalizeRoads(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map((r) => {
+    const points = Array.isArray(r?.points)
+      ? r.points.filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+      : [];
+    return makeRoad({
+      id: Number.isInteger(r?.id) ? r.id : undefined,
+      name: typeof r?.name === 'string' ? r.name : undefined,
+      points,
+      width: Number.isFinite(r?.width) && r.width > 0 ? r.width : undefined,
+      shoulder: Number.isFinite(r?.shoulder) && r.shoulder >= 0 ? r.shoulder : undefined,
+      texture: typeof r?.texture === 'string' ? r.texture : undefined,
+    });
+  });
+}
+
+// Independent copy of a road's base (undo steps keep one per road)
+export function copyRoadBase(b) {
+  if (!b) return null;
+  return {
+    ...b,
+    idx: b.idx.slice(),
+    heights: b.heights.slice(),
+    after: b.after ? b.after.slice() : null,
+    masks: b.masks ? b.masks.slice() : null,
+    painted: b.painted ? b.painted.slice() : null,
+    rect: { ...b.rect },
+  };
+}
+
+// ---------- coordinates ----------
+export function tileToLocal(config, i, j) {
+  return { x: (i - config.TILES_X / 2) * config.TILE_SIZE, z: (j - config.TILES_Y / 2) * config.TILE_SIZE };
+}
+
+export function localToTileCoords(config, x, z) {
+  return [x / config.TILE_SIZE + config.TILES_X / 2, z / config.TILE_SIZE + config.TILES_Y / 2];
+}
+
+/**
+ * Points along the road's curve in terrain-local space (Vector3, y = height
+ * profile through the terrain under each control point), about `spacing` apart.
+ */
+export function roadSamples(appState, road, spacing = 4) {
+  const geom = appState.terrainMesh?.geometry;
+  if (!geom || !road.points.length) return [];
+  const ctrl = road.points.map(([i, j]) => {
+    const { x, z } = tileToLocal(appState.config, i, j);
+    return new THREE.Vector3(x, sampleHeight(geom, x, z), z);
+  });
+  if (ctrl.length === 1) return ctrl;
+  const curve = new THREE.CatmullRomCurve3(ctrl, false, 'centripetal');
+  return curve.getSpacedPoints(Math.max(2, Math.ceil(curve.getLength() / spacing)));
+}
+
+// ---------- apply / remove ----------
+function vertexRange(geom, minX, minZ, maxX, maxZ) {
+  const { width, height, widthSegments, heightSegments } = geom.parameters;
+  const cell = width / widthSegments;
+  return {
+    c0: Math.max(0, Math.floor((minX + width / 2) / cell)),
+    c1: Math.min(widthSegments, Math.ceil((maxX + width / 2) / cell)),
+    r0: Math.max(0, Math.floor((minZ + height / 2) / cell)),
+    r1: Math.min(heightSegments, Math.ceil((maxZ + height / 2) / cell)),
+  };
+}
+
+const unionRect = (a, b) => (!a ? b : !b ? a : {
+  c0: Math.min(a.c0, b.c0), r0: Math.min(a.r0, b.r0), c1: Math.max(a.c1, b.c1), r1: Math.max(a.r1, b.r1),
+});
+
+// Take the road's change back out (no commit)
+function restoreBase(appState, road) {
+  const b = road.base;
+  if (!b) return null;
+  const geom = appState.terrainMesh.geometry;
+  const pos = geom.attributes.position.array;
+  const { MIN_H, MAX_H } = appState.config;
+  const n = MASK_NAMES.length;
+  const attrs = MASK_NAMES.map(name => geom.getAttribute(name));
+  const isPaint = (i, m) => m >= 0 && attrs.every((a, j) => !a || a.array[i] === (j === m ? 1 : 0));
+
+  // vertices a road applied later still owns keep its surface; that road's
+  // "before" values take over ours, so removing it later lands on the right terrain
+  const slot = new Map();
+  b.idx.forEach((i, k) => slot.set(i, k));
+  const heldHeight = new Uint8Array(b.idx.length), heldPaint = new Uint8Array(b.idx.length);
+  for (const other of appState.roads || []) {
+    const o = other.base;
+    if (other === road || !o?.after) continue;
+    o.idx.forEach((i, k2) => {
+      const k = slot.get(i);
+      if (k === undefined) return;
+      if (pos[i * 3 + 1] === o.after[k2] && !heldHeight[k]) {
+        heldHeight[k] = 1;
+        o.heights[k2] -= b.after ? b.after[k] - b.heights[k] : 0;
+      }
+      if (b.masks && o.masks && (!o.painted || o.painted[k2]) && isPaint(i, o.paintMask) && !heldPaint[k]) {
+        heldPaint[k] = 1;
+        if (!b.painted || b.painted[k]) o.masks.set(b.masks.subarray(k * n, k * n + n), k2 * n);
+      }
+    });
+  }
+
+  for (let k = 0; k < b.idx.length; k++) {
+    if (heldHeight[k]) continue;
+    const i = b.idx[k] * 3 + 1;
+    if (!b.after || pos[i] === b.after[k]) pos[i] = b.heights[k];
+    else pos[i] = Math.min(MAX_H, Math.max(MIN_H, pos[i] - (b.after[k] - b.heights[k])));
+  }
+  if (b.masks) {
+    for (let k = 0; k < b.idx.length; k++) {
+      if (heldPaint[k] || (b.painted && !b.painted[k])) continue;
+      const i = b.idx[k];
+      // painted over since (by hand or auto paint): leave it
+      if (b.paintMask >= 0 && !isPaint(i, b.paintMask)) continue;
+      attrs.forEach((a, m) => { if (a) a.array[i] = b.masks[k * n + m]; });
+    }
+    attrs.forEach((a) => { if (a) a.needsUpdate = true; });
+  }
+  road.base = null;
+  return b.rect;
+}
+
+/**
+ * Cut / fill the terrain along the road (re-applying replaces the previous result).
+ * One undo step.
+ */
+export function applyRoad(appState, road) {
+  const mesh = appState.terrainMesh;
+  if (!mesh) return;
+  const samples = roadSamples(appState, road);
+  if (samples.length < 2) throw new Error('[roads] A road needs at least two points.');
+
+  const geom = mesh.geometry;
+  const { width, height, widthSegments } = geom.parameters;
+  const cell = width / widthSegments;
+  const vpr = widthSegments + 1;
+  const pos = geom.attributes.position.array;
+  const { MIN_H, MAX_H } = appState.config;
+  const half = road.width / 2;
+  const reach = half + road.shoulder;
+
+  let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+  for (const p of samples) {
+    minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+    minZ = Math.min(minZ, p.z); maxZ = Math.max(maxZ, p.z);
+  }
+  const rect = vertexRange(geom, minX - reach, minZ - reach, maxX + reach, maxZ + reach);
+  const touched = unionRect(road.base?.rect, rect);
+  const hist = appState.history;
+  hist?.begin('Road');
+  hist?.touchHeights(touched);
+  hist?.touchMasks(touched);
+  hist?.touchRoads();
+
+  // the profile is sampled above before the old corridor is restored, so an edit
+  // keeps the heights the user saw; restoring first would move the control points
+  restoreBase(appState, road);
+
+  // nearest curve point per vertex: rasterise each segment's capsule
+  const ww = rect.c1 - rect.c0 + 1, wh = rect.r1 - rect.r0 + 1;
+  const bestD = new Float32Array(ww * wh).fill(Infinity);
+  const bestY = new Float32Array(ww * wh);
+  for (let s = 0; s < samples.length - 1; s++) {
+    const a = samples[s], b = samples[s + 1];
+    const r = vertexRange(geom, Math.min(a.x, b.x) - reach, Math.min(a.z, b.z) - reach,
+      Math.max(a.x, b.x) + reach, Math.max(a.z, b.z) + reach);
+    const dx = b.x - a.x, dz = b.z - a.z;
+    const len2 = dx * dx + dz * dz || 1;
+    for (let row = r.r0; row <= r.r1; row++) {
+      const pz = row * cell - height / 2;
+      for (let col = r.c0; col <= r.c1; col++) {
+        const px = col * cell - width / 2;
+        const t = Math.min(1, Math.max(0, ((px - a.x) * dx + (pz - a.z) * dz) / len2));
+        const d = Math.hypot(px - (a.x + dx * t), pz - (a.z + dz * t));
+        const k = (row - rect.r0) * ww + (col - rect.c0);
+        if (d < bestD[k]) { bestD[k] = d; bestY[k] = a.y + (b.y - a.y) * t; }
+      }
+    }
+  }
+
+  const maskAttrs = MASK_NAMES.map(n => geom.getAttribute(n));
+  const paint = road.texture && maskNameOf(appState, road.texture);
+  const idx = [], heights = [], after = [], masks = [], painted = [];
+  for (let row = rect.r0; row <= rect.r1; row++) {
+    for (let col = rect.c0; col <= rect.c1; col++) {
+      const k = (row - rect.r0) * ww + (col - rect.c0);
+      const d = bestD[k];
+      if (!(d < reach)) continue;
+      const i = row * vpr + col;
+      idx.push(i);
+      heights.push(pos[i * 3 + 1]);
+      if (paint) maskAttrs.forEach(a => masks.push(a ? a.array[i] : 0));
+
+      // full strength across the carriageway, smoothstep down to 0 across the shoulder
+      const t = d <= half ? 0 : (d - half) / Math.max(1e-6, road.shoulder);
+      const w = 1 - t * t * (3 - 2 * t);
+      pos[i * 3 + 1] = Math.min(MAX_H, Math.max(MIN_H, pos[i * 3 + 1] + (bestY[k] - pos[i * 3 + 1]) * w));
+      after.push(pos[i * 3 + 1]);
+      if (paint) painted.push(d <= half ? 1 : 0);
+      if (paint && d <= half) {
+        MASK_NAMES.forEach((n, m) => { if (maskAttrs[m]) maskAttrs[m].array[i] = n === paint ? 1 : 0; });
+      }
+    }
+  }
+  if (paint) maskAttrs.forEach(a => { if (a) a.needsUpdate = true; });
+
+  road.base = {
+    idx: new Uint32Array(idx),
+    heights: new Float32Array(heights),
+    after: new Float32Array(after),
+    masks: paint ? new Float32Array(masks) : null,
+    painted: paint ? new Uint8Array(painted) : null,
+    paintMask: paint ? MASK_NAMES.indexOf(paint) : -1,
+    rect,
+  };
+  commitHeights(appState, touched);
+  hist?.end();
+}
+
+// Put back the terrain the road replaced (one undo step)
+export function removeRoadFromTerrain(appState, road) {
+  if (!road.base || !appState.terrainMesh) return;
+  const rect = road.base.rect;
+  const hist = appState.history;
+  hist?.begin('Remove road');
+  hist?.touchHeights(rect);
+  hist?.touchMasks(rect);
+  hist?.touchRoads();
+  restoreBase(appState, road);
+  commitHeights(appState, rect);
+  hist?.end();
+}
+
+// Take the road out of the terrain and off the road list (one undo step)
+export function deleteRoad(appState, road) {
+  const at = appState.roads.indexOf(road);
+  if (at < 0) return;
+  const rect = appState.terrainMesh ? road.base?.rect : null;
+  const hist = appState.history;
+  hist?.begin('Delete road');
+  if (rect) {
+    hist?.touchHeights(rect);
+    hist?.touchMasks(rect);
+  }
+  hist?.touchRoads();
+  if (rect) {
+    restoreBase(appState, road);
+    commitHeights(appState, rect);
+  }
+  appState.roads.splice(at, 1);
+  hist?.end();
+}
+
+// ---------- project I/O ----------
+// Road bases as typed arrays for the project file ({ name: array })
+export function roadArrays(roads) {
+  const out = {};
+  for (const r of roads) {
+    if (!r.base) continue;
+    out[`road${r.id}_idx`] = r.base.idx;
+    out[`road${r.id}_heights`] = r.base.heights;
+    if (r.base.after) out[`road${r.id}_after`] = r.base.after;
+    if (r.base.masks) out[`road${r.id}_masks`] = r.base.masks;
+    if (r.base.painted) out[`road${r.id}_painted`] = r.base.painted;
+  }
+  return out;
+}
+
+export function serializeRoads(roads) {
+  return roads.map(({ id, name, points, width, shoulder, texture, base }) => ({
+    id, name, points, width, shoulder, texture,
+    baseRect: base ? base.rect : null,
+    basePaintMask: base ? base.paintMask : -1,
+  }));
+}
+
+// Reattach saved bases (skipped when they don't fit the terrain). Bases saved
+// without `after` / `painted` are put back by overwriting, as they used to be.
+export function attachRoadArrays(roads, saved, arrays, vertexCount) {
+  roads.forEach((r, k) => {
+    const idx = arrays[`road${r.id}_idx`], heights = arrays[`road${r.id}_heights`];
+    const rect = saved?.[k]?.baseRect;
+    if (!idx || !heights || !rect || idx.length !== heights.length) return;
+    if (idx.some(i => i >= vertexCount)) return;
+    let masks = arrays[`road${r.id}_masks`];
+    const n = MASK_NAMES.length;
+    if (masks && masks.length === idx.length * 4 && n !== 4) {
+      // saved before there were more than four texture layers
+      const wide = new Float32Array(idx.length * n);
+      for (let k = 0; k < idx.length; k++) for (let m = 0; m < 4; m++) wide[k * n + m] = masks[k * 4 + m];
+      masks = wide;
+    }
+    if (!(masks && masks.length === idx.length * n)) masks = null;
+    const after = arrays[`road${r.id}_after`], painted = arrays[`road${r.id}_painted`];
+    const paintMask = saved[k].basePaintMask;
+    r.base = {
+      idx, heights, rect, masks,
+      after: after?.length === idx.length ? after : null,
+      painted: masks && painted?.length === idx.length ? painted : null,
+      paintMask: masks && Number.isInteger(paintMask) && paintMask >= 0 && paintMask < n ? paintMask : -1,
+    };
+  });
+}
+
+// ---------- editor ----------
+/**
+ * Click-to-edit for one road at a time. While enabled, pointer input on the canvas
+ * goes to the editor (not sculpt / paint / orbit):
+ *   click terrain      append a control point
+ *   drag a handle      move it
+ *   Alt/Ctrl+click     delete the handle
+ * Curves and handles of every road are drawn while enabled. opts:
+ *   getRoad() -> the road being edited (or null), onChange(road) after an edit,
+ *   isLocked() -> true while edits must wait (a terrain job is running).
+ * Returns { setEnabled(on), refresh(), update() }; call update() once per frame
+ * (it only redraws after a change, or after refresh()).
+ */
+export function initRoadEditor(appState, { getRoad, onChange, isLocked }) {
+  const { renderer, camera, scene } = appState;
+  const el = renderer.domElement;
+  const group = new THREE.Group();
+  group.name = 'RoadEditor';
+  group.matrixAutoUpdate = false;
+  group.visible = false;
+  scene.add(group);
+
+  const lineMat = new THREE.LineBasicMaterial({ color: 0xffa640, transparent: true, opacity: 0.55, depthTest: false });
+  const activeMat = new THREE.LineBasicMaterial({ color: 0xffd54a, depthTest: false });
+  const handleMat = new THREE.PointsMaterial({ color: 0xffffff, size: 9, sizeAttenuation: false, depthTest: false });
+
+  let enabled = false;
+  let drag = -1;
+  let dirty = true; // redraw curves / handles on the next update()
+  const ray = new THREE.Raycaster();
+
+  // heights changed under the curves (apply, undo, sculpt...)
+  window.addEventListener('tc:history', () => { dirty = true; });
+  // vertex indices no longer match: the saved bases can't be restored any more
+  window.addEventListener('tc:terrain-rebuilt', () => {
+    (appState.roads || []).forEach((r) => { r.base = null; });
+    dirty = true;
+  });
+
+  const pickLocal = (ev) => {
+    const mesh = appState.terrainMesh;
+    if (!mesh) return null;
+    const rect = el.getBoundingClientRect();
+    ray.setFromCamera({
+      x: ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+      y: -((ev.clientY - rect.top) / rect.height) * 2 + 1,
+    }, camera);
+    const hit = ray.intersectObject(mesh, false)[0];
+    return hit ? mesh.worldToLocal(hit.point.clone()) : null;
+  };
+
+  const nearestHandle = (road, p) => {
+    const pickRadius = appState.config.TILE_SIZE * 0.5;
+    let best = -1, bestD = pickRadius;
+    road.points.forEach(([i, j], k) => {
+      const { x, z } = tileToLocal(appState.config, i, j);
+      const d = Math.hypot(x - p.x, z - p.z);
+      if (d < bestD) { bestD = d; best = k; }
+    });
+    return best;
+  };
+
+  // capture phase: runs before the sculpt / paint / orbit / tap handlers
+  el.addEventListener('pointerdown', (ev) => {
+    if (!enabled || isLocked?.()) return;
+    const road = getRoad();
+    const p = pickLocal(ev);
+    if (!road || !p) return;
+    ev.stopImmediatePropagation();
+    const k = nearestHandle(road, p);
+    if (k >= 0 && (ev.altKey || ev.ctrlKey)) {
+      road.points.splice(k, 1);
+      dirty = true;
+      onChange?.(road);
+      return;
+    }
+    if (k >= 0) {
+      drag = k;
+      try { el.setPointerCapture(ev.pointerId); } catch {}
+      return;
+    }
+    road.points.push(localToTileCoords(appState.config, p.x, p.z));
+    dirty = true;
+    onChange?.(road);
+  }, { capture: true });
+
+  el.addEventListener('pointermove', (ev) => {
+    if (!enabled || drag < 0) return;
+    const road = getRoad();
+    const p = pickLocal(ev);
+    if (road && p && road.points[drag]) {
+      road.points[drag] = localToTileCoords(appState.config, p.x, p.z);
+      dirty = true;
+    }
+  });
+
+  window.addEventListener('pointerup', () => {
+    if (drag < 0) return;
+    drag = -1;
+    const road = getRoad();
+    if (road) onChange?.(road);
+  });
+
+  function clear() {
+    group.children.slice().forEach((o) => { group.remove(o); o.geometry.dispose(); });
+  }
+
+  function update() {
+    group.visible = enabled && !!appState.terrainMesh;
+    if (!group.visible || !dirty) return;
+    dirty = false;
+    clear();
+    group.matrix.copy(appState.terrainMesh.matrixWorld);
+    group.matrixWorldNeedsUpdate = true;
+    const geom = appState.terrainMesh.geometry;
+    const active = getRoad();
+    for (const road of appState.roads || []) {
+      const samples = roadSamples(appState, road, 8);
+      if (samples.length >= 2) {
+        const g = new THREE.BufferGeometry().setFromPoints(samples.map(p => p.clone().setY(p.y + HANDLE_LIFT)));
+        const line = new THREE.Line(g, road === active ? activeMat : lineMat);
+        line.renderOrder = 997;
+        line.frustumCulled = false;
+        group.add(line);
+      }
+      if (road !== active || !road.points.length) continue;
+      const pts = road.points.map(([i, j]) => {
+        const { x, z } = tileToLocal(appState.config, i, j);
+        return new THREE.Vector3(x, sampleHeight(geom, x, z) + HANDLE_LIFT, z);
+      });
+      const handles = new THREE.Points(new THREE.BufferGeometry().setFromPoints(pts), handleMat);
+      handles.renderOrder = 998;
+      handles.frustumCulled = false;
+      group.add(handles);
+    }
+  }
+
+  return {
+    setEnabled(on) {
+      enabled = !!on;
+      drag = -1;
+      dirty = true;
+    },
+    refresh() { dirty = true; },
+    update,
+  };
+}
@@ -1,6 +1,10 @@
 // file: src/sculpt.js
 import * as THREE from 'three';
-import { rebuildGridAfterGeometry } from './terrain.js';
+import { commitHeights } from './terrain.js';
+import { createThermalErosion } from './erosion.js';
+import { symmetryTransforms } from './symmetry.js';
+import { sampleStamp, captureStamp } from './stamps.js';
+import { isSubmerged } from './water.js';
 
 const _clamp = (x, a, b) => Math.min(b, Math.max(a, x));
 
@@ -25,8 +29,83 @@ function localToTile(localX, localZ, config) {
   return { i, j };
 }
 
-function applySculpt(hitPoint, appState, uiState) {
-  const { terrainMesh, ball, config } = appState;
+// Bilinear height at a LOCAL x/z on the geometry grid
+export function sampleHeight(geom, x, z) {
+  const { width, height, widthSegments, heightSegments } = geom.parameters;
+  const p = geom.attributes.position.array;
+  const gx = _clamp((x + width / 2) / width * widthSegments, 0, widthSegments);
+  const gz = _clamp((z + height / 2) / height * heightSegments, 0, heightSegments);
+  const x0 = Math.min(Math.floor(gx), widthSegments - 1), z0 = Math.min(Math.floor(gz), heightSegments - 1);
+  const fx = gx - x0, fz = gz - z0;
+  const vpr = widthSegments + 1;
+  const y = (c, r) => p[(r * vpr + c) * 3 + 1];
+  const top = y(x0, z0) * (1 - fx) + y(x0 + 1, z0) * fx;
+  const bot = y(x0, z0 + 1) * (1 - fx) + y(x0 + 1, z0 + 1) * fx;
+  return top * (1 - fz) + bot * fz;
+}
+
+// Smooth value noise in -1..1 on an integer lattice, fixed per seed so repeated
+// dabs build up the same detail instead of turning into static
+function hash2(ix, iz, seed) {
+  let h = Math.imul(ix, 374761393) ^ Math.imul(iz, 668265263) ^ seed;
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296 * 2 - 1;
+}
+function valueNoise(x, z, seed) {
+  const ix = Math.floor(x), iz = Math.floor(z);
+  const fx = x - ix, fz = z - iz;
+  const sx = fx * fx * (3 - 2 * fx), sz = fz * fz * (3 - 2 * fz);
+  const a = hash2(ix, iz, seed), b = hash2(ix + 1, iz, seed);
+  const c = hash2(ix, iz + 1, seed), d = hash2(ix + 1, iz + 1, seed);
+  return (a + (b - a) * sx) * (1 - sz) + (c + (d - c) * sx) * sz;
+}
+
+export const FALLOFF_PROFILES = ['smooth', 'linear', 'sharp', 'constant', 'custom'];
+
+// Sample a custom curve (weights from centre to rim, evenly spaced) at t in 0..1
+function sampleCurve(curve, t) {
+  if (!curve || curve.length < 2) return 1 - t;
+  const f = t * (curve.length - 1);
+  const i = Math.min(curve.length - 2, Math.floor(f));
+  return curve[i] + (curve[i + 1] - curve[i]) * (f - i);
+}
+
+/**
+ * Brush weight (d, radius) -> 0..1 for uiState.falloff:
+ * smooth (cosine), linear, sharp (quadratic, pointed centre), constant (flat disc)
+ * or custom (uiState.falloffCurve).
+ */
+export function makeFalloff({ falloff = 'smooth', falloffCurve = null } = {}) {
+  const shape = {
+    smooth:   t => Math.cos(t * (Math.PI / 2)),
+    linear:   t => 1 - t,
+    sharp:    t => (1 - t) * (1 - t),
+    constant: () => 1,
+    custom:   t => _clamp(sampleCurve(falloffCurve, t), 0, 1),
+  }[falloff] || (t => Math.cos(t * (Math.PI / 2)));
+  return (d, radius) => (d < radius ? shape(d / radius) : 0);
+}
+
+// Vertex window covering a LOCAL rect grown by `pad` world units
+function vertexWindow(geom, minX, minZ, maxX, maxZ, pad) {
+  const { width, height, widthSegments, heightSegments } = geom.parameters;
+  const cell = width / widthSegments;
+  const toC = x => (x + width / 2) / cell, toR = z => (z + height / 2) / cell;
+  return {
+    c0: Math.max(0, Math.floor(toC(minX - pad))),
+    c1: Math.min(widthSegments, Math.ceil(toC(maxX + pad))),
+    r0: Math.max(0, Math.floor(toR(minZ - pad))),
+    r1: Math.min(heightSegments, Math.ceil(toR(maxZ + pad))),
+  };
+}
+
+/**
+ * One dab of the current mode at hitPoint (world). stroke carries what the
+ * stroke sampled on pointerdown ({ start: local Vector3, height }) and the
+ * current pen pressure multiplier.
+ */
+function applySculpt(hitPoint, appState, uiState, stroke) {
+  const { terrainMesh, config } = appState;
   if (!terrainMesh) return;
 
   const { MIN_H, MAX_H, TILE_SIZE } = config;
@@ -48,65 +127,173 @@ function applySculpt(hitPoint, appState, uiState) {
   const vertexCell = width / widthSegments;
   const radiusVerts = Math.ceil(worldBrushRadius / vertexCell);
 
-  const startX = Math.max(0, hitVertX - radiusVerts);
-  const endX   = Math.min(widthSegments, hitVertX + radiusVerts);
-  const startZ = Math.max(0, hitVertZ - radiusVerts);
-  const endZ   = Math.min(heightSegments, hitVertZ + radiusVerts);
+  let startX = Math.max(0, hitVertX - radiusVerts);
+  let endX   = Math.min(widthSegments, hitVertX + radiusVerts);
+  let startZ = Math.max(0, hitVertZ - radiusVerts);
+  let endZ   = Math.min(heightSegments, hitVertZ + radiusVerts);
 
   const vpr = widthSegments + 1;
+  const clampH = y => Math.min(MAX_H, Math.max(MIN_H, y));
+  // blend-toward modes: the step control maps 0..2 onto 0..100% per dab
+  const pressure = stroke?.pressure ?? 1;
+  const rate = Math.min(1, Math.abs(uiState.step) / 2) * pressure;
+  const falloff = makeFalloff(uiState);
+  const distAt = (x, z) => Math.hypot((x - hitVertX) * vertexCell, (z - hitVertZ) * vertexCell);
 
-  if (uiState.mode === 'smooth') {
+  if (uiState.mode === 'ramp') {
+    // straight slope from the pointerdown point to this one, brush radius = half width
+    const a = stroke.start, b = localHit;
+    const h0 = stroke.height, h1 = sampleHeight(geom, b.x, b.z);
+    ({ c0: startX, c1: endX, r0: startZ, r1: endZ } = vertexWindow(
+      geom, Math.min(a.x, b.x), Math.min(a.z, b.z), Math.max(a.x, b.x), Math.max(a.z, b.z), worldBrushRadius));
+    appState.history?.touchHeights({ c0: startX, r0: startZ, c1: endX, r1: endZ });
+    const dx = b.x - a.x, dz = b.z - a.z;
+    const len2 = dx * dx + dz * dz;
+    for (let z = startZ; z <= endZ; z++) {
+      for (let x = startX; x <= endX; x++) {
+        const px = x * vertexCell - width / 2, pz = z * vertexCell - height / 2;
+        const t = len2 > 0 ? _clamp(((px - a.x) * dx + (pz - a.z) * dz) / len2, 0, 1) : 0;
+        const w = falloff(Math.hypot(px - (a.x + dx * t), pz - (a.z + dz * t)), worldBrushRadius);
+        if (w <= 0) continue;
+        const yi = (z * vpr + x) * 3 + 1;
+        vertices[yi] = clampH(vertices[yi] + (h0 + (h1 - h0) * t - vertices[yi]) * w);
+      }
+    }
+    commitHeights(appState, { c0: startX, r0: startZ, c1: endX, r1: endZ });
+    return;
+  }
+
+  if (uiState.mode === 'stamp') {
+    // stamp square = brush diameter × scale, rotated about the click point;
+    // add: relative to the ground, max / replace: relative to the height under the click
+    const stamp = uiState.stamp;
+    if (!stamp) return;
+    const half = worldBrushRadius * (uiState.stampScale || 1);
+    ({ c0: startX, c1: endX, r0: startZ, r1: endZ } = vertexWindow(
+      geom, localHit.x, localHit.z, localHit.x, localHit.z, half * Math.SQRT2));
+    appState.history?.touchHeights({ c0: startX, r0: startZ, c1: endX, r1: endZ });
+    const a = THREE.MathUtils.degToRad(uiState.stampRotation || 0);
+    const cos = Math.cos(a), sin = Math.sin(a);
+    const scale = stamp.amplitude * (uiState.stampHeight ?? 1) * pressure;
+    const base = stroke.height;
+    for (let z = startZ; z <= endZ; z++) {
+      for (let x = startX; x <= endX; x++) {
+        const dx = (x - hitVertX) * vertexCell, dz = (z - hitVertZ) * vertexCell;
+        const s = sampleStamp(stamp, ((dx * cos + dz * sin) / half + 1) / 2, ((-dx * sin + dz * cos) / half + 1) / 2);
+        if (s === null) continue;
+        const yi = (z * vpr + x) * 3 + 1;
+        const h = s * scale;
+        if (uiState.stampBlend === 'max') vertices[yi] = clampH(Math.max(vertices[yi], base + h));
+        else if (uiState.stampBlend === 'replace') {
+          const w = falloff(Math.hypot(dx, dz), half);
+          vertices[yi] = clampH(vertices[yi] + (base + h - vertices[yi]) * w);
+        } else vertices[yi] = clampH(vertices[yi] + h);
+      }
+    }
+    commitHeights(appState, { c0: startX, r0: startZ, c1: endX, r1: endZ });
+    return;
+  }
+
+  appState.history?.touchHeights({ c0: startX, r0: startZ, c1: endX, r1: endZ });
+
+  if (uiState.mode === 'thermal') {
+    // talus erosion limited to the brush and weighted by its falloff; works on a Y-only copy of the window
+    const w = endX - startX + 1, h = endZ - startZ + 1;
+    const heights = new Float32Array(w * h);
+    for (let z = startZ; z <= endZ; z++) {
+      for (let x = startX; x <= endX; x++) heights[(z - startZ) * w + (x - startX)] = vertices[(z * vpr + x) * 3 + 1];
+    }
+    const eroder = createThermalErosion(heights, w, h, vertexCell, {
+      talusAngle: uiState.talusAngle,
+      iterations: 2,
+      rect: { x0: 1, y0: 1, x1: w - 2, y1: h - 2 }, // keep the window border fixed
+      weight: (x, z) => falloff(distAt(x + startX, z + startZ), worldBrushRadius) * pressure,
+    });
+    eroder.step(2);
+    for (let z = startZ; z <= endZ; z++) {
+      for (let x = startX; x <= endX; x++) {
+        const yi = (z * vpr + x) * 3 + 1;
+        vertices[yi] = clampH(heights[(z - startZ) * w + (x - startX)]);
+      }
+    }
+  } else if (uiState.mode === 'smooth') {
     const picks = [];
     let sum = 0;
     for (let z = startZ; z <= endZ; z++) {
       for (let x = startX; x <= endX; x++) {
         const idx = z * vpr + x;
         const yv  = vertices[idx * 3 + 1];
-        const dx = (x - hitVertX) * vertexCell;
-        const dz = (z - hitVertZ) * vertexCell;
-        const d  = Math.hypot(dx, dz);
-        if (d < worldBrushRadius) { picks.push({ idx, yv }); sum += yv; }
+        const d = distAt(x, z);
+        if (d < worldBrushRadius) { picks.push({ idx, yv, f: falloff(d, worldBrushRadius) }); sum += yv; }
       }
     }
     if (!picks.length) return;
     const avg = sum / picks.length;
     for (const p of picks) {
       const yi = p.idx * 3 + 1;
-      vertices[yi] += (avg - p.yv) * 0.1;
+      vertices[yi] += (avg - p.yv) * 0.1 * p.f * pressure;
+    }
+  } else if (uiState.mode === 'flatten' || uiState.mode === 'setHeight') {
+    // flatten: toward the height under the stroke's first click; set height: toward a fixed value
+    const target = clampH(uiState.mode === 'flatten' ? stroke.height : uiState.targetHeight);
+    for (let z = startZ; z <= endZ; z++) {
+      for (let x = startX; x <= endX; x++) {
+        const w = falloff(distAt(x, z), worldBrushRadius) * rate;
+        if (w <= 0) continue;
+        const yi = (z * vpr + x) * 3 + 1;
+        vertices[yi] += (target - vertices[yi]) * w;
+      }
+    }
+  } else if (uiState.mode === 'pinch') {
+    // unsharp mask: push each vertex away from its neighbours' average, sharpening ridges and creases
+    const w = endX - startX + 1;
+    const src = new Float32Array(w * (endZ - startZ + 1));
+    for (let z = startZ; z <= endZ; z++) {
+      for (let x = startX; x <= endX; x++) src[(z - startZ) * w + (x - startX)] = vertices[(z * vpr + x) * 3 + 1];
+    }
+    const at = (x, z) => src[(_clamp(z, startZ, endZ) - startZ) * w + (_clamp(x, startX, endX) - startX)];
+    for (let z = startZ; z <= endZ; z++) {
+      for (let x = startX; x <= endX; x++) {
+        const f = falloff(distAt(x, z), worldBrushRadius) * rate;
+        if (f <= 0) continue;
+        const y = at(x, z);
+        const avg = (at(x - 1, z) + at(x + 1, z) + at(x, z - 1) + at(x, z + 1)) / 4;
+        vertices[(z * vpr + x) * 3 + 1] = clampH(y + (y - avg) * f);
+      }
+    }
+  } else if (uiState.mode === 'noise') {
+    // two octaves of value noise at tile and half-tile scale, amplitude = step
+    const seed = config.SEED | 0;
+    for (let z = startZ; z <= endZ; z++) {
+      for (let x = startX; x <= endX; x++) {
+        const f = falloff(distAt(x, z), worldBrushRadius);
+        if (f <= 0) continue;
+        const nx = x * vertexCell / TILE_SIZE, nz = z * vertexCell / TILE_SIZE;
+        const n = (valueNoise(nx, nz, seed) * 2 + valueNoise(nx * 2, nz * 2, seed ^ 0x5bd1e995)) / 3;
+        const yi = (z * vpr + x) * 3 + 1;
+        vertices[yi] = clampH(vertices[yi] + n * f * uiState.step * pressure);
+      }
     }
   } else {
     const sign = (uiState.mode === 'lower') ? -1 : 1;
     for (let z = startZ; z <= endZ; z++) {
       for (let x = startX; x <= endX; x++) {
-        const idx = z * vpr + x;
-        const yi  = idx * 3 + 1;
-        const dx = (x - hitVertX) * vertexCell;
-        const dz = (z - hitVertZ) * vertexCell;
-        const d  = Math.hypot(dx, dz);
-        if (d < worldBrushRadius) {
-          const falloff = Math.cos((d / worldBrushRadius) * (Math.PI / 2));
-          const delta = falloff * uiState.step;
-          vertices[yi] = Math.min(MAX_H, Math.max(MIN_H, vertices[yi] + delta * sign));
-        }
+        const yi = (z * vpr + x) * 3 + 1;
+        const f = falloff(distAt(x, z), worldBrushRadius);
+        if (f > 0) vertices[yi] = clampH(vertices[yi] + f * uiState.step * pressure * sign);
       }
     }
   }
 
-  posAttr.needsUpdate = true;
-  geom.computeVertexNormals();
-  rebuildGridAfterGeometry(appState); // keep red grid glued
-  ball?.refresh();
+  // only the brush window changed: normals, upload, chunk bounds and red grid stay local
+  commitHeights(appState, { c0: startX, r0: startZ, c1: endX, r1: endZ });
 }
 
 export function initSculpting(appState, getUiState) {
   const { renderer, camera } = appState;
-  let dragging = false;
-
-  const cast = (ev) => {
-    if (!appState.terrainMesh) return;
-    const ui = getUiState();
-    if (!ui.sculptOn) return;
+  let stroke = null; // { start, height, last, dab, pressure } while a stroke is in progress
 
+  const pick = (ev) => {
     const rect = renderer.domElement.getBoundingClientRect();
     const x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
     const y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
@@ -117,17 +304,99 @@ export function initSculpting(appState, getUiState) {
     if (appState.terrainMesh) targets.push(appState.terrainMesh);
 
     const hits = raycaster.intersectObjects(targets, false);
-    if (hits.length) applySculpt(hits[0].point, appState, ui);
+    return hits.length ? hits[0].point : null;
+  };
+
+  // One dab at a world point, replayed at every symmetric copy (the ramp's start
+  // point is carried along so mirrored ramps run the mirrored way)
+  const dab = (point, ui) => {
+    const mesh = appState.terrainMesh;
+    const local = mesh.worldToLocal(point.clone());
+    const done = [];
+    for (const t of symmetryTransforms(appState)) {
+      const [x, z] = t(local.x, local.z);
+      const [sx, sz] = t(stroke.start.x, stroke.start.z);
+      if (done.some(d => Math.abs(d[0] - x) + Math.abs(d[1] - z) + Math.abs(d[2] - sx) + Math.abs(d[3] - sz) < 1e-3)) continue;
+      done.push([x, z, sx, sz]);
+      const copy = { ...stroke, start: new THREE.Vector3(sx, stroke.start.y, sz) };
+      applySculpt(mesh.localToWorld(new THREE.Vector3(x, local.y, z)), appState, ui, copy);
+    }
+  };
+
+  // Stylus pressure scales strength; mice report a constant 0.5 and are ignored
+  const pressureOf = (ev, ui) => (ui.usePressure && ev.pointerType === 'pen' ? ev.pressure : 1);
+
+  // Dabs are laid every ui.spacing world units along the pointer path, so the
+  // amount applied depends on distance travelled, not on the event rate
+  const cast = (ev) => {
+    if (!appState.terrainMesh || !stroke) return;
+    const ui = getUiState();
+    if (!ui.sculptOn) return;
+    const hit = pick(ev);
+    if (!hit) return;
+    stroke.last = hit;
+    stroke.pressure = pressureOf(ev, ui);
+    // the ramp is laid once, from the pointerdown point to the release point
+    if (ui.mode === 'ramp') return;
+    // a stamp lands once per click
+    if (ui.mode === 'stamp') {
+      if (!stroke.dab) { stroke.dab = hit.clone(); dab(hit, ui); }
+      return;
+    }
+
+    if (!stroke.dab) {
+      stroke.dab = hit.clone();
+      dab(hit, ui);
+      return;
+    }
+    const spacing = Math.max(0.01, ui.spacing);
+    let dist = Math.hypot(hit.x - stroke.dab.x, hit.z - stroke.dab.z);
+    while (dist >= spacing) {
+      stroke.dab.lerp(hit, spacing / dist);
+      dab(stroke.dab, ui);
+      dist -= spacing;
+    }
   };
 
   renderer.domElement.addEventListener('pointerdown', (ev) => {
-    if (!getUiState().sculptOn) return;
+    if (!getUiState().sculptOn || !appState.terrainMesh) return;
+    // a running job replaces the heights when it finishes, which would drop the stroke
+    if (getUiState().jobRunning) return;
+    const hit = pick(ev);
+    if (!hit) return;
     try { renderer.domElement.setPointerCapture(ev.pointerId); } catch {}
-    dragging = true;
+    const start = appState.terrainMesh.worldToLocal(hit.clone());
+    stroke = {
+      start,
+      height: sampleHeight(appState.terrainMesh.geometry, start.x, start.z),
+      last: hit,
+      dab: null,
+      pressure: 1,
+    };
+    const ui = getUiState();
+    if (ui.mode === 'stamp' && ui.stampCapture) {
+      // grab the terrain under the stamp square as a new stamp instead of stamping
+      const half = ui.radius * appState.config.TILE_SIZE * (ui.stampScale || 1);
+      const captured = captureStamp(appState.terrainMesh.geometry, start.x, start.z, half);
+      stroke = null;
+      try { window.dispatchEvent(new CustomEvent('tc:stamp-captured', { detail: { stamp: captured } })); } catch (_) {}
+      return;
+    }
+    appState.history?.begin('Sculpt'); // one undo step per stroke
     cast(ev);
   });
-  renderer.domElement.addEventListener('pointermove', (ev) => { if (dragging && getUiState().sculptOn) cast(ev); });
-  window.addEventListener('pointerup',  () => { dragging = false; });
+  renderer.domElement.addEventListener('pointermove', (ev) => { if (stroke && getUiState().sculptOn) cast(ev); });
+  const endStroke = (ev) => {
+    if (!stroke) return;
+    const ui = getUiState();
+    if (ui.mode === 'ramp' && ui.sculptOn && ev.type === 'pointerup' && appState.terrainMesh) {
+      dab(pick(ev) || stroke.last, ui);
+    }
+    stroke = null;
+    appState.history?.end();
+  };
+  window.addEventListener('pointerup', endStroke);
+  window.addEventListener('pointercancel', endStroke);
 }
 
 export function initTapToMove(appState, getUiState, getAllow) {
@@ -154,6 +423,14 @@ export function initTapToMove(appState, getUiState, getAllow) {
     const world = hits[0].point.clone();
     const local = appState.terrainMesh.worldToLocal(world);
     const { i, j } = localToTile(local.x, local.z, appState.config);
+
+    // Judge the tile by its centre so a dry corner doesn't make a flooded tile walkable
+    if (appState.water?.enabled && !appState.water.walkOnWater) {
+      const { TILE_SIZE, TILES_X, TILES_Y } = appState.config;
+      const cx = (i + 0.5) * TILE_SIZE - (TILES_X * TILE_SIZE) / 2;
+      const cz = (j + 0.5) * TILE_SIZE - (TILES_Y * TILE_SIZE) / 2;
+      if (isSubmerged(appState, cx, cz)) return;
+    }
     appState.ball.placeOnTile(i, j);
 
     if (appState.camFollowEnabled) appState.controls.lookAt(appState.ball.mesh.position);
@@ -0,0 +1,105 @@
+// file: src/stamps.js
+// Heightmap stamps for the Stamp sculpt brush.
+// A stamp is { id, name, width, height, data: Float32Array, amplitude }: a small
+// row-major grid (same layout as decoded heightmaps, see heightmap.js) whose values
+// are scaled by amplitude (world units) and the brush's height multiplier.
+// Values are normally 0..1; procedural stamps may dip below 0 (crater bowls).
+
+import { decodeHeightmapFile, resampleHeightmap } from './heightmap.js';
+import { sampleHeight } from './sculpt.js';
+
+const STAMP_RES = 128;      // procedural and captured stamps
+const IMPORT_RES = 256;     // imported images are resampled to at most this
+const DEFAULT_AMPLITUDE = 48;
+
+const smoothstep = (a, b, x) => {
+  const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+  return t * t * (3 - 2 * t);
+};
+
+// Fill a STAMP_RES² grid from fn(u, v, r) with u, v in -1..1 and r = radius
+function procedural(id, name, amplitude, fn) {
+  const n = STAMP_RES;
+  const data = new Float32Array(n * n);
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      const u = (x / (n - 1)) * 2 - 1, v = (y / (n - 1)) * 2 - 1;
+      data[y * n + x] = fn(u, v, Math.hypot(u, v));
+    }
+  }
+  return { id, name, width: n, height: n, data, amplitude };
+}
+
+const BUILTIN = [
+  // bowl below the surrounding ground with a raised rim
+  ['crater', 'Crater', 40, (u, v, r) =>
+    -0.6 * (1 - smoothstep(0, 0.55, r)) + 0.35 * Math.exp(-(((r - 0.6) / 0.12) ** 2)) * (1 - smoothstep(0.8, 1, r))],
+  // flat top, steep sides
+  ['mesa', 'Mesa', 60, (u, v, r) => 1 - smoothstep(0.45, 0.7, r)],
+  // cone with a caldera
+  ['volcano', 'Volcano cone', 90, (u, v, r) =>
+    Math.max(0, 1 - r / 0.9) ** 1.3 - 0.3 * (1 - smoothstep(0.05, 0.18, r))],
+  // parallel ridges with a gentle windward and steep lee side, faded at the rim
+  ['dunes', 'Dunes', 16, (u, v, r) => {
+    const p = ((u * 2.5 + 0.15 * Math.sin(v * 4)) % 1 + 1) % 1;
+    const ridge = p < 0.75 ? p / 0.75 : (1 - p) / 0.25;
+    return ridge * ridge * (1 - smoothstep(0.6, 1, r));
+  }],
+  ['hill', 'Round hill', 40, (u, v, r) => Math.exp(-r * r * 5) * (1 - smoothstep(0.85, 1, r))],
+];
+
+let builtins = null;
+
+// Built-in procedural stamps (generated on first use)
+export function builtinStamps() {
+  builtins ??= BUILTIN.map(([id, name, amp, fn]) => procedural(id, name, amp, fn));
+  return builtins;
+}
+
+let nextId = 1;
+
+/**
+ * Make a stamp from a grayscale image / RAW file (anything decodeHeightmapFile reads).
+ * Large images are resampled down to IMPORT_RES.
+ */
+export async function importStampFile(file) {
+  const img = await decodeHeightmapFile(file);
+  if (img.width < 2 || img.height < 2) throw new Error('[stamps] Stamp image must be at least 2×2 pixels.');
+  const w = Math.min(IMPORT_RES, img.width), h = Math.min(IMPORT_RES, img.height);
+  const data = (w === img.width && h === img.height) ? img.data : resampleHeightmap(img, w - 1, h - 1);
+  const name = (file.name || 'Stamp').replace(/\.[^.]+$/, '');
+  return { id: `user-${nextId++}`, name, width: w, height: h, data, amplitude: DEFAULT_AMPLITUDE };
+}
+
+/**
+ * Capture the terrain in a square of half-size `half` (world units) around the
+ * LOCAL point x/z as a stamp. Values are normalised to 0..1 and amplitude keeps
+ * the original relief, so stamping it with multiplier 1 reproduces the shape.
+ */
+export function captureStamp(geom, x, z, half) {
+  const n = STAMP_RES;
+  const data = new Float32Array(n * n);
+  let lo = Infinity, hi = -Infinity;
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      const y = sampleHeight(geom, x + ((c / (n - 1)) * 2 - 1) * half, z + ((r / (n - 1)) * 2 - 1) * half);
+      data[r * n + c] = y;
+      if (y < lo) lo = y;
+      if (y > hi) hi = y;
+    }
+  }
+  const range = hi - lo || 1;
+  for (let i = 0; i < data.length; i++) data[i] = (data[i] - lo) / range;
+  return { id: `user-${nextId++}`, name: `Selection ${nextId - 1}`, width: n, height: n, data, amplitude: hi - lo };
+}
+
+// Bilinear sample at u, v in 0..1 (null outside the stamp)
+export function sampleStamp(stamp, u, v) {
+  if (u < 0 || v < 0 || u > 1 || v > 1) return null;
+  const { width, height, data } = stamp;
+  const x = u * (width - 1), y = v * (height - 1);
+  const x0 = Math.min(width - 2, Math.floor(x)), y0 = Math.min(height - 2, Math.floor(y));
+  const fx = x - x0, fy = y - y0;
+  const i = y0 * width + x0;
+  return (data[i] * (1 - fx) + data[i + 1] * fx) * (1 - fy) + (data[i + width] * (1 - fx) + data[i + width + 1] * fx) * fy;
+}
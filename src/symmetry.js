@@ -0,0 +1,176 @@
+// file: src/symmetry.js
+// Symmetric editing: every sculpt dab and paint tap is replayed at its mirror /
+// rotated copies. Settings live on appState.symmetry:
+//   { mode: 'off' | 'x' | 'z' | 'xz' | 'radial', count, center }
+//   x      mirror across the line x = centre (left <-> right)
+//   z      mirror across the line z = centre (top <-> bottom)
+//   xz     both (4 copies)
+//   radial `count` copies rotated around the centre
+// center is null for the map centre, or { i, j } in (fractional) tile units.
+// Guides for the axes / sector borders are drawn just above the red tile grid.
+
+import * as THREE from 'three';
+import { sampleHeight } from './sculpt.js';
+
+export const SYMMETRY_MODES = ['off', 'x', 'z', 'xz', 'radial'];
+const GUIDE_LIFT = 1.2; // above the red grid (see GRID_LIFT in terrain.js)
+
+// Symmetry centre in terrain-local x/z
+export function symmetryCenter(appState) {
+  const { TILES_X, TILES_Y, TILE_SIZE } = appState.config;
+  const c = appState.symmetry?.center;
+  if (!c) return { x: 0, z: 0 };
+  return { x: (c.i - TILES_X / 2) * TILE_SIZE, z: (c.j - TILES_Y / 2) * TILE_SIZE };
+}
+
+/**
+ * Local-space transforms for the current symmetry, identity first:
+ * [(x, z) => [x, z], ...]. Always at least the identity.
+ */
+export function symmetryTransforms(appState) {
+  const sym = appState.symmetry;
+  const id = (x, z) => [x, z];
+  if (!sym || sym.mode === 'off') return [id];
+  const { x: cx, z: cz } = symmetryCenter(appState);
+  const fx = (x, z) => [2 * cx - x, z];
+  const fz = (x, z) => [x, 2 * cz - z];
+
+  switch (sym.mode) {
+    case 'x':  return [id, fx];
+    case 'z':  return [id, fz];
+    case 'xz': return [id, fx, fz, (x, z) => [2 * cx - x, 2 * cz - z]];
+    case 'radial': {
+      const n = Math.max(2, sym.count | 0);
+      const out = [id];
+      for (let k = 1; k < n; k++) {
+        const cos = Math.cos((k / n) * Math.PI * 2), sin = Math.sin((k / n) * Math.PI * 2);
+        out.push((x, z) => {
+          const dx = x - cx, dz = z - cz;
+          return [cx + dx * cos - dz * sin, cz + dx * sin + dz * cos];
+        });
+      }
+      return out;
+    }
+    default: return [id];
+  }
+}
+
+// Copies of a local point, without duplicates (a dab on the axis is applied once)
+export function symmetryPoints(appState, x, z) {
+  const out = [];
+  for (const t of symmetryTransforms(appState)) {
+    const [px, pz] = t(x, z);
+    if (!out.some(([qx, qz]) => Math.abs(qx - px) < 1e-3 && Math.abs(qz - pz) < 1e-3)) out.push([px, pz]);
+  }
+  return out;
+}
+
+/**
+ * Arm a one-shot centre pick: the next click on the terrain becomes the symmetry
+ * centre and is swallowed (no dab, paint or tap-to-move). onPicked({ i, j }) runs
+ * after the centre is set. Returns a function that disarms the pick.
+ */
+export function armCenterPick(appState, onPicked) {
+  const el = appState.renderer.domElement;
+  const ray = new THREE.Raycaster();
+  const handler = (ev) => {
+    const mesh = appState.terrainMesh;
+    if (!mesh) return;
+    const rect = el.getBoundingClientRect();
+    ray.setFromCamera({
+      x: ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+      y: -((ev.clientY - rect.top) / rect.height) * 2 + 1,
+    }, appState.camera);
+    const hit = ray.intersectObject(mesh, false)[0];
+    if (!hit) return; // keep waiting for a click on the map
+    ev.stopImmediatePropagation();
+    ev.preventDefault();
+    disarm();
+    const { TILES_X, TILES_Y, TILE_SIZE } = appState.config;
+    const local = mesh.worldToLocal(hit.point.clone());
+    appState.symmetry.center = { i: local.x / TILE_SIZE + TILES_X / 2, j: local.z / TILE_SIZE + TILES_Y / 2 };
+    onPicked?.(appState.symmetry.center);
+  };
+  // capture listeners on the canvas run before the sculpt / paint / orbit handlers
+  el.addEventListener('pointerdown', handler, { capture: true });
+  const disarm = () => el.removeEventListener('pointerdown', handler, { capture: true });
+  return disarm;
+}
+
+// Segments (x0, z0, x1, z1) of the guides in local space, clipped to the map
+function guideSegments(appState) {
+  const sym = appState.symmetry;
+  const { TILES_X, TILES_Y, TILE_SIZE } = appState.config;
+  const hw = (TILES_X * TILE_SIZE) / 2, hh = (TILES_Y * TILE_SIZE) / 2;
+  const { x: cx, z: cz } = symmetryCenter(appState);
+  const segs = [];
+  if (sym.mode === 'x' || sym.mode === 'xz') segs.push([cx, -hh, cx, hh]);
+  if (sym.mode === 'z' || sym.mode === 'xz') segs.push([-hw, cz, hw, cz]);
+  if (sym.mode === 'radial') {
+    // sector borders: rays from the centre to the map edge
+    const n = Math.max(2, sym.count | 0);
+    for (let k = 0; k < n; k++) {
+      const a = ((k + 0.5) / n) * Math.PI * 2;
+      const dx = Math.cos(a), dz = Math.sin(a);
+      const tx = dx > 0 ? (hw - cx) / dx : dx < 0 ? (-hw - cx) / dx : Infinity;
+      const tz = dz > 0 ? (hh - cz) / dz : dz < 0 ? (-hh - cz) / dz : Infinity;
+      const t = Math.min(tx, tz);
+      if (t > 0) segs.push([cx, cz, cx + dx * t, cz + dz * t]);
+    }
+  }
+  return segs;
+}
+
+/**
+ * Axis guides over the terrain. Call update() once per frame; the lines follow
+ * the surface, so they are rebuilt while symmetry is on.
+ */
+export function initSymmetryGuides(appState) {
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3 * 256), 3));
+  const lines = new THREE.LineSegments(geom, new THREE.LineBasicMaterial({
+    color: 0x39c6ff, transparent: true, opacity: 0.9, depthTest: false, depthWrite: false,
+  }));
+  lines.name = 'SymmetryGuides';
+  lines.frustumCulled = false;
+  lines.renderOrder = 998;
+  lines.matrixAutoUpdate = false;
+  lines.visible = false;
+  appState.scene.add(lines);
+
+  function update() {
+    const mesh = appState.terrainMesh;
+    lines.visible = !!mesh && !!appState.symmetry && appState.symmetry.mode !== 'off';
+    if (!lines.visible) return;
+
+    const tg = mesh.geometry;
+    const cell = tg.parameters.width / tg.parameters.widthSegments;
+    const segs = guideSegments(appState);
+    // split every segment at vertex spacing so it hugs the heightfield
+    const steps = segs.map(([x0, z0, x1, z1]) => Math.max(1, Math.ceil(Math.hypot(x1 - x0, z1 - z0) / cell)));
+    const total = steps.reduce((n, s) => n + s * 2, 0);
+    let attr = geom.getAttribute('position');
+    if (attr.count < total) {
+      attr = new THREE.BufferAttribute(new Float32Array(3 * total * 2), 3);
+      geom.setAttribute('position', attr);
+    }
+    const a = attr.array;
+    let v = 0;
+    const put = (x, z) => {
+      a[v++] = x; a[v++] = sampleHeight(tg, x, z) + GUIDE_LIFT; a[v++] = z;
+    };
+    segs.forEach(([x0, z0, x1, z1], k) => {
+      const n = steps[k];
+      for (let s = 0; s < n; s++) {
+        put(x0 + ((x1 - x0) * s) / n, z0 + ((z1 - z0) * s) / n);
+        put(x0 + ((x1 - x0) * (s + 1)) / n, z0 + ((z1 - z0) * (s + 1)) / n);
+      }
+    });
+    attr.needsUpdate = true;
+    geom.setDrawRange(0, total);
+    lines.matrix.copy(mesh.matrixWorld);
+    lines.matrixWorldNeedsUpdate = true;
+  }
+
+  return { update };
+}
@@ -2,12 +2,14 @@
 import * as THREE from 'three';
 import { dispose } from './utils.js';
 import CubeMarker from './character.js';
-import Terrain from '../vendor/THREE.Terrain.mjs';
+import { createTerrainChunks } from './chunks.js';
+import { runTerrainJob } from './jobclient.js';
 
-const SUBDIVISIONS = 4; // segments per big tile
+export const SUBDIVISIONS = 4; // segments per big tile
 
 let gridLines = null;
 let gridPositions = null;
+let terrainChunks = null;
 
 // ---------- materials / helpers ----------
 function makeSimpleMaterial() {
@@ -32,46 +34,18 @@ function setAllVertexColors(geom, colorHex = 0xD2B48C) {
   geom.setAttribute('color', new THREE.BufferAttribute(colors, 3));
 }
 
-// Bilinear sample (mesh local X/Z -> Y)
-function sampleHeightLocal(x, z, terrainMesh, config) {
-  const { TILES_X, TILES_Y, TILE_SIZE } = config;
-  const W = TILES_X * TILE_SIZE;
-  const H = TILES_Y * TILE_SIZE;
-
-  const g = terrainMesh.geometry;
-  const pos = g.attributes.position.array;
-  const { widthSegments, heightSegments } = g.parameters;
-
-  const u = (x + W / 2) / W;
-  const v = (z + H / 2) / H;
-
-  const gx = u * widthSegments;
-  const gz = v * heightSegments;
-
-  const ix = Math.floor(gx);
-  const iz = Math.floor(gz);
-  const fx = Math.min(1, Math.max(0, gx - ix));
-  const fz = Math.min(1, Math.max(0, gz - iz));
-
-  const vpr = widthSegments + 1;
-  const Y = (jj, ii) => pos[((jj) * vpr + (ii)) * 3 + 1];
-
-  const x0 = Math.min(widthSegments, Math.max(0, ix));
-  const z0 = Math.min(heightSegments, Math.max(0, iz));
-  const x1 = Math.min(widthSegments, x0 + 1);
-  const z1 = Math.min(heightSegments, z0 + 1);
-
-  const y00 = Y(z0, x0);
-  const y10 = Y(z0, x1);
-  const y01 = Y(z1, x0);
-  const y11 = Y(z1, x1);
-
-  const y0 = y00 * (1 - fx) + y10 * fx;
-  const y1 = y01 * (1 - fx) + y11 * fx;
-  return y0 * (1 - fz) + y1 * fz;
+// ---------- red grid (build once, then UPDATE) ----------
+// Layout: vertical lines i = 0..TILES_X, each segsY segments, then horizontal
+// lines j = 0..TILES_Y, each segsX segments; 2 points (6 floats) per segment.
+// Grid points sit exactly on terrain vertices, so heights are read directly.
+const GRID_LIFT = 0.6;
+
+function gridLayout(config) {
+  const segsX = config.TILES_X * SUBDIVISIONS;
+  const segsY = config.TILES_Y * SUBDIVISIONS;
+  return { segsX, segsY, hBase: (config.TILES_X + 1) * segsY * 6 };
 }
 
-// ---------- red grid (build once, then UPDATE) ----------
 function buildMainGrid(appState) {
   if (gridLines) {
     try { gridLines.geometry?.dispose(); } catch {}
@@ -81,78 +55,120 @@ function buildMainGrid(appState) {
   gridLines = null;
   gridPositions = null;
 
-  const { TILES_X, TILES_Y, TILE_SIZE } = appState.config;
-  const W = TILES_X * TILE_SIZE;
-  const H = TILES_Y * TILE_SIZE;
-
-  const segsX = TILES_X * SUBDIVISIONS;
-  const segsY = TILES_Y * SUBDIVISIONS;
-
-  const segmentsCount =
-    (TILES_X * segsY) +
-    (TILES_Y * segsX) +
-    segsY + segsX;
+  const { TILES_X, TILES_Y, TILE_SIZE, MIN_H, MAX_H } = appState.config;
+  const { segsX, segsY } = gridLayout(appState.config);
+  const segmentsCount = (TILES_X + 1) * segsY + (TILES_Y + 1) * segsX;
 
   const geom = new THREE.BufferGeometry();
   gridPositions = new Float32Array(segmentsCount * 2 * 3);
   geom.setAttribute('position', new THREE.BufferAttribute(gridPositions, 3));
+  // fixed bounds (whole height range) so edits never need a recompute
+  geom.boundingSphere = new THREE.Sphere(new THREE.Vector3(), Math.hypot(
+    (TILES_X * TILE_SIZE) / 2, (TILES_Y * TILE_SIZE) / 2, Math.max(Math.abs(MIN_H), Math.abs(MAX_H)) + GRID_LIFT
+  ));
 
   const mat = new THREE.LineBasicMaterial({ color: 0xff4d4d, transparent: true, opacity: 0.95 });
   gridLines = new THREE.LineSegments(geom, mat);
   gridLines.name = 'MainTileGrid';
   gridLines.renderOrder = 2;
   gridLines.frustumCulled = false;
+  gridLines.raycast = raycastGrid;
+  gridLines.userData.layout = gridLayout(appState.config);
 
   appState.terrainGroup.add(gridLines);
   refreshMainGrid(appState);
 }
 
-export function refreshMainGrid(appState) {
+/**
+ * Re-glue the red grid to the terrain. rect = { c0, r0, c1, r1 } (vertex columns/rows,
+ * inclusive) limits the update to the lines touching that area; omit for the whole grid.
+ */
+export function refreshMainGrid(appState, rect = null) {
   if (!appState.terrainMesh || !gridLines || !gridPositions) return;
 
-  const { TILES_X, TILES_Y, TILE_SIZE } = appState.config;
-  const W = TILES_X * TILE_SIZE;
-  const H = TILES_Y * TILE_SIZE;
-
-  const segsX = TILES_X * SUBDIVISIONS;
-  const segsY = TILES_Y * SUBDIVISIONS;
-
-  const lift = 0.6;
-  let p = 0;
-
-  // vertical lines
-  for (let i = 0; i <= TILES_X; i++) {
-    const x = -W / 2 + i * TILE_SIZE;
-    for (let k = 0; k < segsY; k++) {
-      const z0 = -H / 2 + (k / segsY) * H;
-      const z1 = -H / 2 + ((k + 1) / segsY) * H;
-      const y0 = sampleHeightLocal(x, z0, appState.terrainMesh, appState.config) + lift;
-      const y1 = sampleHeightLocal(x, z1, appState.terrainMesh, appState.config) + lift;
-
-      gridPositions[p++] = x;  gridPositions[p++] = y0; gridPositions[p++] = z0;
-      gridPositions[p++] = x;  gridPositions[p++] = y1; gridPositions[p++] = z1;
+  const { TILES_X, TILES_Y } = appState.config;
+  const { segsX, segsY, hBase } = gridLayout(appState.config);
+  const pos = appState.terrainMesh.geometry.attributes.position.array;
+  const vpr = segsX + 1;
+  const attr = gridLines.geometry.attributes.position;
+  const g = gridPositions;
+
+  const c0 = rect ? Math.max(0, rect.c0) : 0, c1 = rect ? Math.min(segsX, rect.c1) : segsX;
+  const r0 = rect ? Math.max(0, rect.r0) : 0, r1 = rect ? Math.min(segsY, rect.r1) : segsY;
+  const put = (p, v) => { g[p] = pos[v * 3]; g[p + 1] = pos[v * 3 + 1] + GRID_LIFT; g[p + 2] = pos[v * 3 + 2]; };
+
+  // vertical lines (constant column), segments k..k+1 along the rows
+  const k0 = Math.max(0, r0 - 1), k1 = Math.min(segsY - 1, r1);
+  for (let i = Math.ceil(c0 / SUBDIVISIONS); i <= Math.min(TILES_X, Math.floor(c1 / SUBDIVISIONS)); i++) {
+    const col = i * SUBDIVISIONS;
+    for (let k = k0; k <= k1; k++) {
+      const p = (i * segsY + k) * 6;
+      put(p, k * vpr + col);
+      put(p + 3, (k + 1) * vpr + col);
     }
+    if (rect) attr.addUpdateRange((i * segsY + k0) * 6, (k1 - k0 + 1) * 6);
   }
 
-  // horizontal lines
-  for (let j = 0; j <= TILES_Y; j++) {
-    const z = -H / 2 + j * TILE_SIZE;
-    for (let k = 0; k < segsX; k++) {
-      const x0 = -W / 2 + (k / segsX) * W;
-      const x1 = -W / 2 + ((k + 1) / segsX) * W;
-      const y0 = sampleHeightLocal(x0, z, appState.terrainMesh, appState.config) + lift;
-      const y1 = sampleHeightLocal(x1, z, appState.terrainMesh, appState.config) + lift;
-
-      gridPositions[p++] = x0; gridPositions[p++] = y0; gridPositions[p++] = z;
-      gridPositions[p++] = x1; gridPositions[p++] = y1; gridPositions[p++] = z;
+  // horizontal lines (constant row), segments k..k+1 along the columns
+  const m0 = Math.max(0, c0 - 1), m1 = Math.min(segsX - 1, c1);
+  for (let j = Math.ceil(r0 / SUBDIVISIONS); j <= Math.min(TILES_Y, Math.floor(r1 / SUBDIVISIONS)); j++) {
+    const row = j * SUBDIVISIONS * vpr;
+    for (let k = m0; k <= m1; k++) {
+      const p = hBase + (j * segsX + k) * 6;
+      put(p, row + k);
+      put(p + 3, row + k + 1);
     }
+    if (rect) attr.addUpdateRange(hBase + (j * segsX + m0) * 6, (m1 - m0 + 1) * 6);
   }
 
-  gridLines.geometry.attributes.position.needsUpdate = true;
-  gridLines.geometry.computeBoundingSphere();
+  if (!rect) attr.clearUpdateRanges();
+  attr.needsUpdate = true;
   appState.gridLines = gridLines;
 }
 
+// Line picking limited to the terrain chunks the ray crosses (a 256² map has ~1M segments)
+const _gInv = new THREE.Matrix4();
+const _gRay = new THREE.Ray();
+const _gA = new THREE.Vector3(), _gB = new THREE.Vector3();
+const _gOnRay = new THREE.Vector3(), _gOnSeg = new THREE.Vector3();
+
+function raycastGrid(raycaster, intersects) {
+  if (!terrainChunks || !gridPositions) return THREE.LineSegments.prototype.raycast.call(this, raycaster, intersects);
+
+  _gInv.copy(this.matrixWorld).invert();
+  _gRay.copy(raycaster.ray).applyMatrix4(_gInv);
+  const threshold = raycaster.params.Line?.threshold ?? 1;
+  const tSq = threshold * threshold;
+  const { segsX, segsY, hBase } = this.userData.layout;
+  const g = gridPositions;
+
+  const test = (p, index) => {
+    _gA.set(g[p], g[p + 1], g[p + 2]);
+    _gB.set(g[p + 3], g[p + 4], g[p + 5]);
+    if (_gRay.distanceSqToSegment(_gA, _gB, _gOnRay, _gOnSeg) > tSq) return;
+    _gOnRay.applyMatrix4(this.matrixWorld);
+    const distance = raycaster.ray.origin.distanceTo(_gOnRay);
+    if (distance < raycaster.near || distance > raycaster.far) return;
+    intersects.push({
+      distance, point: _gOnSeg.clone().applyMatrix4(this.matrixWorld),
+      index, face: null, faceIndex: null, object: this,
+    });
+  };
+
+  for (const ch of terrainChunks.chunksOnRay(_gRay, threshold + GRID_LIFT)) {
+    // a line on a chunk border is tested by the chunk that starts there (or the last chunk)
+    const cEnd = ch.x1 === segsX ? ch.x1 : ch.x1 - 1, rEnd = ch.y1 === segsY ? ch.y1 : ch.y1 - 1;
+    for (let col = Math.ceil(ch.x0 / SUBDIVISIONS) * SUBDIVISIONS; col <= cEnd; col += SUBDIVISIONS) {
+      const i = col / SUBDIVISIONS;
+      for (let k = ch.y0; k < ch.y1; k++) test((i * segsY + k) * 6, (i * segsY + k) * 2);
+    }
+    for (let row = Math.ceil(ch.y0 / SUBDIVISIONS) * SUBDIVISIONS; row <= rEnd; row += SUBDIVISIONS) {
+      const j = row / SUBDIVISIONS;
+      for (let k = ch.x0; k < ch.x1; k++) test(hBase + (j * segsX + k) * 6, hBase / 3 + (j * segsX + k) * 2);
+    }
+  }
+}
+
 export function rebuildGridAfterGeometry(appState) {
   if (gridLines && gridPositions) refreshMainGrid(appState);
   else buildMainGrid(appState);
@@ -163,6 +179,66 @@ export function setMainGridVisible(appState, visible) {
   appState.gridMainVisible = !!visible;
 }
 
+// ---------- normals / dirty regions ----------
+// Heightfield normals from central differences (one-sided at the map border).
+function updateNormals(geom, c0, r0, c1, r1) {
+  const { width, height, widthSegments, heightSegments } = geom.parameters;
+  const pos = geom.attributes.position.array;
+  const nrm = geom.attributes.normal.array;
+  const vpr = widthSegments + 1;
+  const dx = width / widthSegments, dz = height / heightSegments;
+  const Y = (r, c) => pos[(r * vpr + c) * 3 + 1];
+
+  for (let r = r0; r <= r1; r++) {
+    const ra = Math.max(0, r - 1), rb = Math.min(heightSegments, r + 1);
+    for (let c = c0; c <= c1; c++) {
+      const ca = Math.max(0, c - 1), cb = Math.min(widthSegments, c + 1);
+      const nx = -(Y(r, cb) - Y(r, ca)) / ((cb - ca) * dx);
+      const nz = -(Y(rb, c) - Y(ra, c)) / ((rb - ra) * dz);
+      const inv = 1 / Math.sqrt(nx * nx + 1 + nz * nz);
+      const o = (r * vpr + c) * 3;
+      nrm[o] = nx * inv; nrm[o + 1] = inv; nrm[o + 2] = nz * inv;
+    }
+  }
+}
+
+/**
+ * Call after writing vertex heights. rect = { c0, r0, c1, r1 } (vertex columns/rows,
+ * inclusive) for local edits like brush strokes; omit when the whole map changed.
+ * Refreshes normals, GPU uploads, chunk bounds, the red grid and the marker.
+ */
+export function commitHeights(appState, rect = null) {
+  const { terrainMesh } = appState;
+  if (!terrainMesh) return;
+  const geom = terrainMesh.geometry;
+  const { widthSegments, heightSegments } = geom.parameters;
+  const vpr = widthSegments + 1;
+  const pos = geom.attributes.position, nrm = geom.attributes.normal;
+
+  if (rect) {
+    // normals depend on the neighbours, so grow by one vertex
+    const r = {
+      c0: Math.max(0, rect.c0 - 1), r0: Math.max(0, rect.r0 - 1),
+      c1: Math.min(widthSegments, rect.c1 + 1), r1: Math.min(heightSegments, rect.r1 + 1),
+    };
+    updateNormals(geom, r.c0, r.r0, r.c1, r.r1);
+    const start = r.r0 * vpr * 3, count = (r.r1 - r.r0 + 1) * vpr * 3; // whole rows: one contiguous range
+    pos.addUpdateRange(start, count);
+    nrm.addUpdateRange(start, count);
+    appState.terrainChunks?.markDirty(r);
+    refreshMainGrid(appState, r);
+  } else {
+    updateNormals(geom, 0, 0, widthSegments, heightSegments);
+    pos.clearUpdateRanges();
+    nrm.clearUpdateRanges();
+    appState.terrainChunks?.markDirty(null);
+    rebuildGridAfterGeometry(appState);
+  }
+  pos.needsUpdate = true;
+  nrm.needsUpdate = true;
+  appState.ball?.refresh();
+}
+
 // ---------- terrain lifecycle ----------
 export function createTerrain(appState) {
   const { scene } = appState;
@@ -171,6 +247,8 @@ export function createTerrain(appState) {
   const W = TILES_X * TILE_SIZE;
   const H = TILES_Y * TILE_SIZE;
 
+  terrainChunks?.dispose();
+  terrainChunks = null;
   dispose(appState.terrainGroup);
   dispose(appState.treesGroup);
   appState.treesGroup = null;
@@ -184,6 +262,7 @@ export function createTerrain(appState) {
   const mat = makeSimpleMaterial();
   const mesh = new THREE.Mesh(geom, mat);
   mesh.receiveShadow = true;
+  mesh.visible = false; // data + picking only; the chunks below draw it
 
   setAllVertexColors(geom, 0xD2B48C);
 
@@ -192,9 +271,12 @@ export function createTerrain(appState) {
   terrainGroup.add(mesh);
   scene.add(terrainGroup);
 
+  terrainChunks = createTerrainChunks(mesh, terrainGroup);
+
   appState.terrainGroup = terrainGroup;
   appState.terrainMesh = mesh;
   appState.terrainMaterial = mat;
+  appState.terrainChunks = terrainChunks;
 
   buildMainGrid(appState);
   setMainGridVisible(appState, appState.gridMainVisible ?? true);
@@ -215,61 +297,100 @@ export function createTerrain(appState) {
 }
 
 // ---------- editing ops (used by UI) ----------
-export function randomizeTerrain(appState) {
+// Heavy passes run in the terrain worker (see jobclient.js); these resolve once the
+// result is on the geometry and reject with an AbortError when cancelled.
+// onProgress(0..1) is optional everywhere.
+
+// Run a heights job against the current terrain and apply its result
+async function runHeightsJob(appState, type, payload, onProgress) {
+  const mesh = appState.terrainMesh;
+  const heights = await runTerrainJob(type, payload, onProgress);
+  if (appState.terrainMesh !== mesh) throw new Error('[terrain] Terrain was rebuilt while the job was running.');
+  applyHeights(appState, heights);
+}
+
+export async function randomizeTerrain(appState, onProgress) {
   const { terrainMesh, config } = appState;
   if (!terrainMesh) return;
 
-  const { MIN_H, MAX_H, TILE_SIZE } = config;
+  const { MIN_H, MAX_H, TILE_SIZE, SEED } = config;
+  await runHeightsJob(appState, 'jitter', {
+    heights: getHeights(appState),
+    amount: TILE_SIZE * 0.25, // gentle
+    seed: SEED,
+    min: MIN_H,
+    max: MAX_H,
+  }, onProgress);
+}
+
+// Copy of every vertex height (row-major, one value per vertex)
+export function getHeights(appState) {
+  const pos = appState.terrainMesh.geometry.attributes.position;
+  const out = new Float32Array(pos.count);
+  for (let i = 0; i < pos.count; i++) out[i] = pos.array[i * 3 + 1];
+  return out;
+}
+
+// Replace every vertex height (one value per vertex, row-major) and refresh dependents.
+export function applyHeights(appState, heights) {
+  const { terrainMesh, config } = appState;
+  if (!terrainMesh) return;
+
+  const { MIN_H, MAX_H } = config;
   const pos = terrainMesh.geometry.attributes.position;
   const arr = pos.array;
-
-  const jitter = TILE_SIZE * 0.25; // gentle
-  for (let i = 1; i < arr.length; i += 3) {
-    const y = arr[i] + (Math.random() * 2 - 1) * jitter;
-    arr[i] = THREE.MathUtils.clamp(y, MIN_H, MAX_H);
+  const n = Math.min(pos.count, heights.length);
+  for (let i = 0; i < n; i++) {
+    arr[i * 3 + 1] = THREE.MathUtils.clamp(heights[i], MIN_H, MAX_H);
   }
-  pos.needsUpdate = true;
-  terrainMesh.geometry.computeVertexNormals();
-  rebuildGridAfterGeometry(appState);
-  appState.ball?.refresh();
+  commitHeights(appState);
 }
 
-export function applyHeightmapTemplate(templateName, appState) {
+export async function applyHeightmapTemplate(templateName, appState, onProgress) {
   const { terrainMesh, config } = appState;
   if (!terrainMesh) return;
 
-  const { MIN_H, MAX_H, TILES_X, TILES_Y, TILE_SIZE } = config;
-  const widthSegments  = TILES_X * SUBDIVISIONS;
-  const heightSegments = TILES_Y * SUBDIVISIONS;
-  const W = TILES_X * TILE_SIZE;
-  const H = TILES_Y * TILE_SIZE;
-
-  // Build a temporary terrain using the helper module, then copy Y values.
-  const t = new Terrain({
-    three: THREE,
-    heightmap: templateName, // 'Perlin' | 'Simplex' | 'Fault' | etc.
-    frequency: 2.5,
-    minHeight: MIN_H,
-    maxHeight: MAX_H,
-    xSegments: widthSegments,
-    ySegments: heightSegments,
-    xSize: W,
-    ySize: H,
-    steps: 1,
-    easing: Terrain.Linear,
-  });
+  const { MIN_H, MAX_H, TILES_X, TILES_Y } = config;
+  await runHeightsJob(appState, 'generate', {
+    options: {
+      heightmap: templateName, // 'Perlin' | 'Simplex' | 'Fault' | etc.
+      frequency: 2.5,
+      minHeight: MIN_H,
+      maxHeight: MAX_H,
+      xSegments: TILES_X * SUBDIVISIONS,
+      ySegments: TILES_Y * SUBDIVISIONS,
+      steps: 1,
+      easing: 'Linear',
+      seed: config.SEED,
+    },
+  }, onProgress);
+}
 
-  const src = t.getMesh().geometry.attributes.position.array;
-  const dst = terrainMesh.geometry.attributes.position.array;
+// Hydraulic erosion over the whole map; onProgress(0..1)
+export async function erodeTerrainHydraulic(appState, opts = {}, onProgress) {
+  const { terrainMesh, config } = appState;
+  if (!terrainMesh) return;
 
-  // Copy only the Y components (every 3rd starting at index 1)
-  for (let i = 1; i < dst.length && i < src.length; i += 3) {
-    dst[i] = src[i];
-  }
+  const { widthSegments, heightSegments } = terrainMesh.geometry.parameters;
+  await runHeightsJob(appState, 'hydraulic', {
+    heights: getHeights(appState),
+    width: widthSegments + 1,
+    height: heightSegments + 1,
+    options: { seed: config.SEED, ...opts },
+  }, onProgress);
+}
 
-  terrainMesh.geometry.attributes.position.needsUpdate = true;
-  terrainMesh.geometry.computeVertexNormals();
+// Thermal (talus) erosion over the whole map; onProgress(0..1)
+export async function erodeTerrainThermal(appState, opts = {}, onProgress) {
+  const { terrainMesh, config } = appState;
+  if (!terrainMesh) return;
 
-  rebuildGridAfterGeometry(appState);
-  appState.ball?.refresh();
-}
\ No newline at end of file
+  const { widthSegments, heightSegments } = terrainMesh.geometry.parameters;
+  await runHeightsJob(appState, 'thermal', {
+    heights: getHeights(appState),
+    width: widthSegments + 1,
+    height: heightSegments + 1,
+    cellSize: config.TILE_SIZE / SUBDIVISIONS,
+    options: opts,
+  }, onProgress);
+}
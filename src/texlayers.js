@@ -0,0 +1,183 @@
+// file: src/texlayers.js
+// Texture layers: up to MAX_TEXTURE_LAYERS textures painted through per-vertex
+// weight attributes mask1..maskN. appState.textureLayers is the ordered list the
+// Textures tab shows:
+//   { key, name, mask, size, maps: { diffuse, roughness, normal } }
+// `size` is the world-space width of one texture repeat.
+// `mask` is the weight attribute (and texture array layer) the layer owns for its
+// whole life, so reordering the list never moves paint or breaks undo. The first
+// layer in the list is the base layer (fills, auto paint fallback).
+// A map is { url } for the shipped textures, { type, bytes } for images loaded
+// from disk (kept as the original file bytes and saved with the project), or null.
+// Roughness and normal maps are linear data (roughness in the red channel, normals
+// tangent-space with +Y up); any of the three may be an OpenEXR file.
+
+export const MAX_TEXTURE_LAYERS = 8;
+export const MASK_NAMES = Array.from({ length: MAX_TEXTURE_LAYERS }, (_, k) => `mask${k + 1}`);
+export const MAP_KINDS = ['diffuse', 'roughness', 'normal'];
+export const DEFAULT_LAYER_SIZE = 32; // one repeat per tile at the default tile size
+
+// [key, name, roughness map extension]
+const BUILTIN = [
+  ['sand', 'Sand', 'jpg'],
+  ['dryground', 'Dry Ground', 'jpg'],
+  ['sandstone', 'Sandstone', 'jpg'],
+  ['coastsand', 'Coast Sand', 'exr'],
+];
+
+export function defaultTextureLayers() {
+  return BUILTIN.map(([key, name, rough], mask) => ({
+    key, name, mask, size: DEFAULT_LAYER_SIZE,
+    maps: {
+      diffuse: { url: `assets/textures/${key}/${key}-diffuse.jpg` },
+      roughness: { url: `assets/textures/${key}/${key}-roughness.${rough}` },
+      normal: null,
+    },
+  }));
+}
+
+// Shipped texture files are the only URLs a layer may reference (projects are
+// untrusted input); anything else has to come in as file bytes.
+export const isTextureUrl = url => typeof url === 'string' && /^assets\/textures\/[\w-]+\/[\w.-]+\.(?:jpe?g|png|webp|exr)$/i.test(url);
+
+export const layerByKey = (appState, key) => (appState.textureLayers || []).find(l => l.key === key) || null;
+
+// Weight attribute name for a layer key, or null when no layer has that key
+export function maskNameOf(appState, key) {
+  const layer = layerByKey(appState, key);
+  return layer ? MASK_NAMES[layer.mask] : null;
+}
+
+export const baseLayer = appState => appState.textureLayers?.[0] || null;
+
+/**
+ * Add an empty layer on the first free mask. Throws when every slot is taken.
+ */
+export function addTextureLayer(appState, name) {
+  const layers = appState.textureLayers;
+  const used = new Set(layers.map(l => l.mask));
+  const mask = MASK_NAMES.findIndex((_, k) => !used.has(k));
+  if (mask < 0) throw new Error(`[texlayers] All ${MAX_TEXTURE_LAYERS} texture slots are in use.`);
+  let n = layers.length + 1;
+  while (layers.some(l => l.key === `layer${n}`)) n++;
+  const layer = {
+    key: `layer${n}`, name: name || `Texture ${n}`, mask, size: DEFAULT_LAYER_SIZE,
+    maps: { diffuse: null, roughness: null, normal: null },
+  };
+  layers.push(layer);
+  return layer;
+}
+
+// Move a layer up (-1) or down (+1) the list
+export function moveTextureLayer(appState, key, dir) {
+  const layers = appState.textureLayers;
+  const i = layers.findIndex(l => l.key === key);
+  const j = i + dir;
+  if (i < 0 || j < 0 || j >= layers.length) return false;
+  [layers[i], layers[j]] = [layers[j], layers[i]];
+  return true;
+}
+
+/**
+ * Remove a layer and its paint. The weights it held go to the base layer (or
+ * nothing, if it was the last one), on the terrain and in the pre-road weights
+ * roads keep for their removal, so a later layer on the freed slot starts clean.
+ */
+export function removeTextureLayer(appState, key) {
+  const layers = appState.textureLayers;
+  const i = layers.findIndex(l => l.key === key);
+  if (i < 0) return;
+  const [layer] = layers.splice(i, 1);
+  const geom = appState.terrainMesh?.geometry;
+  const from = geom?.getAttribute(MASK_NAMES[layer.mask]);
+  const to = layers[0] && geom?.getAttribute(MASK_NAMES[layers[0].mask]);
+  if (from) {
+    for (let v = 0; v < from.count; v++) {
+      if (to) to.array[v] += from.array[v];
+      from.array[v] = 0;
+    }
+    from.needsUpdate = true;
+    if (to) to.needsUpdate = true;
+  }
+  const n = MASK_NAMES.length;
+  for (const road of appState.roads || []) {
+    const b = road.base;
+    if (!b?.masks) continue;
+    for (let o = layer.mask; o < b.masks.length; o += n) {
+      if (layers[0]) b.masks[o - layer.mask + layers[0].mask] += b.masks[o];
+      b.masks[o] = 0;
+    }
+    // the road's paint moved along with the weights
+    if (b.paintMask === layer.mask) b.paintMask = layers[0] ? layers[0].mask : -1;
+  }
+}
+
+// ---------- project files ----------
+const _mapInfo = m => (m?.url ? { url: m.url } : m?.bytes ? { type: m.type || '' } : null);
+
+// Manifest entries; image bytes go to arrays `texlayer${mask}_${kind}`
+export function serializeTextureLayers(layers) {
+  return layers.map(l => ({
+    key: l.key, name: l.name, mask: l.mask, size: l.size,
+    maps: Object.fromEntries(MAP_KINDS.map(k => [k, _mapInfo(l.maps[k])])),
+  }));
+}
+
+export function textureLayerArrays(layers) {
+  const out = {};
+  for (const l of layers) {
+    for (const k of MAP_KINDS) if (l.maps[k]?.bytes) out[`texlayer${l.mask}_${k}`] = l.maps[k].bytes;
+  }
+  return out;
+}
+
+// Validate layers from a manifest (+ the project's arrays); falls back to the defaults.
+// Older projects stored `scale` (repeats per tile) instead of `size`.
+export function normalizeTextureLayers(list, arrays = {}, tileSize = DEFAULT_LAYER_SIZE) {
+  if (!Array.isArray(list)) return defaultTextureLayers();
+  const seenKeys = new Set(), seenMasks = new Set();
+  const out = [];
+  for (const l of list) {
+    const mask = l?.mask;
+    if (typeof l?.key !== 'string' || !/^[\w-]+$/.test(l.key) || seenKeys.has(l.key)) continue;
+    if (!Number.isInteger(mask) || mask < 0 || mask >= MAX_TEXTURE_LAYERS || seenMasks.has(mask)) continue;
+    seenKeys.add(l.key);
+    seenMasks.add(mask);
+    const maps = {};
+    for (const k of MAP_KINDS) {
+      const m = l.maps?.[k];
+      const bytes = arrays[`texlayer${mask}_${k}`];
+      if (isTextureUrl(m?.url)) maps[k] = { url: m.url };
+      else if (m && bytes) maps[k] = { type: typeof m.type === 'string' ? m.type : '', bytes };
+      else maps[k] = null;
+    }
+    out.push({
+      key: l.key,
+      name: typeof l.name === 'string' && l.name ? l.name : l.key,
+      mask,
+      size: Number.isFinite(l.size) && l.size > 0 ? l.size
+        : Number.isFinite(l.scale) && l.scale > 0 ? tileSize / l.scale : DEFAULT_LAYER_SIZE,
+      maps,
+    });
+  }
+  return out.length ? out : defaultTextureLayers();
+}
+
+// ---------- projection ----------
+// appState.textureOptions, saved with the project:
+//   triplanar   project along X / Y / Z blended by the surface normal (no stretching
+//               on cliffs) instead of straight down
+//   sharpness   how quickly triplanar hands over between projections
+//   hexTiling   break up repetition with randomly offset copies on a hex grid
+export function defaultTextureOptions() {
+  return { triplanar: false, sharpness: 4, hexTiling: false };
+}
+
+export function normalizeTextureOptions(o) {
+  const out = defaultTextureOptions();
+  if (!o || typeof o !== 'object') return out;
+  if (typeof o.triplanar === 'boolean') out.triplanar = o.triplanar;
+  if (typeof o.hexTiling === 'boolean') out.hexTiling = o.hexTiling;
+  if (Number.isFinite(o.sharpness)) out.sharpness = Math.min(16, Math.max(1, o.sharpness));
+  return out;
+}
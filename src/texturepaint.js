@@ -1,28 +1,177 @@
 // file: src/texturepaint.js
 // Safe multi-texture painter — preserves full MeshStandardMaterial lighting.
-// Blends 4 diffuse maps (sand, dryground, sandstone, coastsand) via vertex masks.
+// Blends up to MAX_TEXTURE_LAYERS layers (see texlayers.js) via the vertex weight
+// attributes mask1..maskN. Each map kind (diffuse, roughness, normal) lives in one
+// texture array (one array layer per mask, resampled to TEX_SIZE²), so the shader
+// needs three samplers however many layers there are. The same weights blend the
+// color, the roughness (layers without a map keep the material's 0.9) and the
+// tangent-space normals (layers without one stay flat).
+// Layers are projected in object space at their own world size (texlayers.js),
+// with repeats starting at the map corner so they line up with the tile borders:
+// straight down, or triplanar (X / Y / Z blended by the normal) when
+// appState.textureOptions.triplanar is on; hex tiling breaks up the repeats.
+// Hand-painted vertices are flagged in the paintLock attribute (1 = painted by
+// hand) so the auto painter can leave them alone; fillAll/clearAll reset it.
+// Two brushes: 'tile' writes hard 1/0 weights for whole tiles (grid-based maps);
+// 'soft' is a circle in world units that blends into the weights of single
+// vertices. Within one soft stroke a vertex's coverage builds up by `flow` per
+// dab and the stroke never moves it further than `opacity` toward the target.
+// Erase lowers the active layer instead of painting it.
 
 import * as THREE from 'three';
+import { symmetryPoints } from './symmetry.js';
+import { makeFalloff } from './sculpt.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { MASK_NAMES, MAX_TEXTURE_LAYERS, MAP_KINDS, DEFAULT_LAYER_SIZE, layerByKey, baseLayer, isTextureUrl } from './texlayers.js';
 
 const SUBDIVISIONS = 4; // must match terrain.js
+const TEX_SIZE = 1024;  // texture array layer size
+const N = MAX_TEXTURE_LAYERS;
+const PACKS = Math.ceil(N/4); // vec4 varyings carrying the weights
+
+// GLSL pieces shared by the live material and bakeDiffuse
+const MASK_ATTRS_GLSL = MASK_NAMES.map(n=>`attribute float ${n};`).join(' ');
+const MASK_VARYINGS_GLSL = Array.from({length:PACKS},(_,p)=>`varying vec4 vMaskPack${p};`).join(' ');
+const MASK_ASSIGN_GLSL = Array.from({length:PACKS},(_,p)=>{
+  const c=[0,1,2,3].map(k=>MASK_NAMES[p*4+k]||'0.0');
+  return `vMaskPack${p} = vec4(${c.join(', ')});`;
+}).join(' ');
+// object-space position / normal of the terrain (world units, see texlayers.js `size`)
+const TERRAIN_VARYINGS_GLSL = 'varying vec3 vTerrainPos; varying vec3 vTerrainNormal;';
+const BLEND_PARS_GLSL = `
+  uniform sampler2DArray layerMaps, layerRough, layerNormal;
+  uniform float layerSize[${N}];
+  uniform bool triplanar, hexTiling; uniform float triSharpness;
+  uniform vec2 terrainHalf; // half the map size: repeats start at the map corner
+  ${MASK_VARYINGS_GLSL}
+  ${TERRAIN_VARYINGS_GLSL}
+  vec3 srgbToLinear(vec3 c){ return pow(c, vec3(2.2)); }
+
+  // Hex tiling (after Mikkelsen 2022): three randomly offset copies blended over a
+  // triangle grid about one repeat wide. Offsets only, so normals need no rotation.
+  vec2 hexHash(vec2 p){ return fract(sin(vec2(dot(p,vec2(127.1,311.7)), dot(p,vec2(269.5,183.3))))*43758.5453); }
+  void hexGrid(vec2 st, out vec3 w, out vec2 v1, out vec2 v2, out vec2 v3){
+    vec2 skewed = mat2(1.0, 0.0, -0.57735027, 1.15470054) * (st*3.4641016);
+    vec2 base = floor(skewed);
+    vec3 t = vec3(fract(skewed), 0.0);
+    t.z = 1.0 - t.x - t.y;
+    float s = step(0.0, -t.z), s2 = 2.0*s - 1.0;
+    w = vec3(-t.z*s2, s - t.y*s2, s - t.x*s2);
+    v1 = base + vec2(s, s); v2 = base + vec2(s, 1.0-s); v3 = base + vec2(1.0-s, s);
+  }
 
-export default function initTexturePainter(appState) {
-  const loader = new THREE.TextureLoader();
+  // Layer k at uv: linear color, roughness and tangent-space normal
+  void sampleLayer(float k, vec2 uv, vec2 gx, vec2 gy, out vec3 c, out float r, out vec3 n){
+    c = vec3(0.0); r = 0.0; n = vec3(0.0);
+    vec3 w = vec3(1.0, 0.0, 0.0);
+    vec2 o[3];
+    o[0] = o[1] = o[2] = vec2(0.0);
+    if(hexTiling){
+      vec2 v1, v2, v3;
+      hexGrid(uv, w, v1, v2, v3);
+      w = pow(w, vec3(6.0)); w /= w.x + w.y + w.z;
+      o[0] = hexHash(v1); o[1] = hexHash(v2); o[2] = hexHash(v3);
+    }
+    for(int i=0;i<3;i++){
+      if(w[i]<=1e-3) continue;
+      vec3 p = vec3(uv + o[i], k);
+      c += w[i]*srgbToLinear(textureGrad(layerMaps, p, gx, gy).rgb);
+      r += w[i]*textureGrad(layerRough, p, gx, gy).r;
+      n += w[i]*(textureGrad(layerNormal, p, gx, gy).xyz*2.0-1.0);
+    }
+  }
+
+  // One projection along axis A (u along T, v along B): adds wt x layer k, its
+  // normal whiteout-blended onto the surface normal N0 in object space
+  void addProjection(int k, float wt, vec3 T, vec3 B, vec3 A, vec3 N0, vec3 P, vec3 dPx, vec3 dPy,
+                     inout vec3 albedo, inout float rough, inout vec3 nrm){
+    float inv = 1.0/layerSize[k];
+    vec2 uv = vec2(dot(P,T), dot(P,B))*inv;
+    vec2 gx = vec2(dot(dPx,T), dot(dPx,B))*inv, gy = vec2(dot(dPy,T), dot(dPy,B))*inv;
+    vec3 c, n; float r;
+    sampleLayer(float(k), uv, gx, gy, c, r, n);
+    albedo += wt*c; rough += wt*r;
+    nrm += wt*(T*(n.x + dot(N0,T)) + B*(n.y + dot(N0,B)) + A*(abs(n.z)*dot(N0,A)));
+  }
+
+  // Weighted blend of every layer: linear color, roughness and object-space normal
+  // (normalized). Returns w = sum of the clamped weights.
+  float blendLayers(out vec3 albedo, out float rough, out vec3 nrm){
+    float lw[${N}];
+    ${Array.from({length:N},(_,k)=>`lw[${k}] = vMaskPack${k>>2}.${'xyzw'[k&3]};`).join(' ')}
+    vec3 P = vTerrainPos + vec3(terrainHalf.x, 0.0, terrainHalf.y), N0 = normalize(vTerrainNormal);
+    // derivatives before any branching
+    vec3 dPx = dFdx(P), dPy = dFdy(P);
+    // projection weights; planar = straight down only (u = x, v = -z)
+    vec3 tb = vec3(0.0, 1.0, 0.0);
+    if(triplanar){
+      tb = pow(abs(N0), vec3(triSharpness));
+      tb /= tb.x + tb.y + tb.z;
+      tb *= step(0.02, tb);
+      tb /= tb.x + tb.y + tb.z;
+    }
+    float sx = N0.x<0.0 ? -1.0 : 1.0, sz = N0.z<0.0 ? -1.0 : 1.0;
+    float w = 0.0;
+    albedo = vec3(0.0); rough = 0.0; nrm = vec3(0.0);
+    for(int k=0;k<${N};k++){
+      float wk = clamp(lw[k],0.0,1.0);
+      if(wk<=0.0) continue;
+      if(tb.y>0.0) addProjection(k, wk*tb.y, vec3(1.0,0.0,0.0), vec3(0.0,0.0,-1.0), vec3(0.0,1.0,0.0), N0, P, dPx, dPy, albedo, rough, nrm);
+      if(tb.x>0.0) addProjection(k, wk*tb.x, vec3(0.0,0.0,-sx), vec3(0.0,1.0,0.0), vec3(sx,0.0,0.0), N0, P, dPx, dPy, albedo, rough, nrm);
+      if(tb.z>0.0) addProjection(k, wk*tb.z, vec3(sz,0.0,0.0), vec3(0.0,1.0,0.0), vec3(0.0,0.0,sz), N0, P, dPx, dPy, albedo, rough, nrm);
+      w += wk;
+    }
+    if(w>1e-5){ albedo /= w; rough /= w; }
+    nrm = length(nrm)>1e-5 ? normalize(nrm) : N0;
+    return w;
+  }`;
 
-  function loadTex(url) {
-    const t = loader.load(url);
+export default function initTexturePainter(appState) {
+  // One array layer per mask, holding `neutral` until an image is loaded:
+  // grey color, the material's 0.9 roughness, a flat normal
+  function makeLayerArray(neutral, srgb, depth) {
+    const ch = neutral.length;
+    const data = new Uint8Array(TEX_SIZE*TEX_SIZE*ch*depth);
+    for (let i = 0; i < data.length; i += ch) data.set(neutral, i);
+    const t = new THREE.DataArrayTexture(data, TEX_SIZE, TEX_SIZE, depth);
+    t.format = ch === 1 ? THREE.RedFormat : THREE.RGBAFormat;
+    t.type = THREE.UnsignedByteType;
     t.wrapS = t.wrapT = THREE.RepeatWrapping;
+    t.minFilter = THREE.LinearMipmapLinearFilter;
+    t.magFilter = THREE.LinearFilter;
+    t.generateMipmaps = true;
     t.anisotropy = 8;
-    t.colorSpace = THREE.SRGBColorSpace; // authored as sRGB JPGs
+    if (srgb) t.colorSpace = THREE.SRGBColorSpace; // authored as sRGB JPGs
+    t.userData.neutral = neutral;
+    t.needsUpdate = true;
     return t;
   }
-
-  const maps = {
-    sand:      loadTex('assets/textures/sand/sand-diffuse.jpg'),
-    dryground: loadTex('assets/textures/dryground/dryground-diffuse.jpg'),
-    sandstone: loadTex('assets/textures/sandstone/sandstone-diffuse.jpg'),
-    coastsand: loadTex('assets/textures/coastsand/coastsand-diffuse.jpg'),
-  };
+  const NEUTRAL = { diffuse: [128,128,128,255], roughness: [230], normal: [128,128,255,255] };
+  // The arrays only go as deep as the highest mask in use (each full layer is
+  // 4 MB of diffuse, 4 MB of normal and 1 MB of roughness, plus the GPU copies),
+  // so slots no layer holds cost nothing; the uniforms follow reallocations.
+  const layerArrays = {};
+  const arrayUniforms = Object.fromEntries(MAP_KINDS.map(k => [k, { value: null }]));
+  // map object currently in each array layer, by kind
+  const uploaded = Object.fromEntries(MAP_KINDS.map(k => [k, new Array(N).fill(undefined)]));
+
+  function _sizeArrays(layers){
+    const depth=Math.max(1,...layers.map(l=>l.mask+1));
+    for(const kind of MAP_KINDS){
+      const old=layerArrays[kind];
+      if(old?.image.depth===depth) continue;
+      const t=makeLayerArray(NEUTRAL[kind],kind==='diffuse',depth);
+      if(old){
+        const layerBytes=TEX_SIZE*TEX_SIZE*NEUTRAL[kind].length;
+        t.image.data.set(old.image.data.subarray(0,Math.min(old.image.depth,depth)*layerBytes));
+        old.dispose();
+      }
+      uploaded[kind].fill(undefined,depth); // dropped slots load again if they come back
+      layerArrays[kind]=t;
+      arrayUniforms[kind].value=t;
+    }
+  }
+  _sizeArrays(appState.textureLayers||[]);
 
   function makeWhiteTex() {
     const t = new THREE.DataTexture(new Uint8Array([255,255,255,255]),1,1);
@@ -33,11 +182,19 @@ export default function initTexturePainter(appState) {
 
   const state = {
     activeKey: null,
-    maskAttrs: {},
-    tilesUniform: new THREE.Vector2(1,1),
-    uvScale: 1.0,
+    maskAttrs: [],        // by mask index
+    lockAttr: null,
+    layerSizes: new Array(N).fill(DEFAULT_LAYER_SIZE), // world units per repeat, by mask
+    projection: { triplanar: { value: false }, hexTiling: { value: false }, triSharpness: { value: 4 }, terrainHalf: { value: new THREE.Vector2() } },
     brushRadius: 0,
+    brushMode: 'tile',    // 'tile' | 'soft'
+    erase: false,
+    soft: { radius: 48, opacity: 1, flow: 0.35, falloff: 'smooth' },
   };
+  let stroke = null; // soft stroke in progress: { touched: Map(idx -> { orig, a }), dab: [x, z] }
+
+  // Mask index of the active layer (-1 when none / removed)
+  const _activeMask = () => layerByKey(appState, state.activeKey)?.mask ?? -1;
 
   function _addOrResizeMaskAttributes(mesh) {
     const geom = mesh?.geometry;
@@ -54,10 +211,92 @@ export default function initTexturePainter(appState) {
       return a;
     };
 
-    state.maskAttrs.sand      = ensure('mask1');
-    state.maskAttrs.dryground = ensure('mask2');
-    state.maskAttrs.sandstone = ensure('mask3');
-    state.maskAttrs.coastsand = ensure('mask4');
+    state.maskAttrs = MASK_NAMES.map(ensure);
+    state.lockAttr = ensure('paintLock');
+  }
+
+  // ---- layer images ----
+  const _isExr = bytes => bytes[0]===0x76 && bytes[1]===0x2f && bytes[2]===0x31 && bytes[3]===0x01;
+
+  // OpenEXR -> 8-bit RGBA rows top first. Linear data as is; color goes to sRGB.
+  function _exrImage(bytes, kind){
+    const ab = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset+bytes.byteLength);
+    const {width,height,data,format} = new EXRLoader().setDataType(THREE.FloatType).parse(ab);
+    const ch = format===THREE.RedFormat ? 1 : 4;
+    const enc = kind==='diffuse' ? v=>Math.pow(Math.max(0,v),1/2.2) : v=>v;
+    const out = new Uint8ClampedArray(width*height*4);
+    for(let r=0;r<height;r++){
+      const src = (height-1-r)*width; // EXRLoader rows start at the bottom
+      for(let c=0;c<width;c++){
+        const i=(src+c)*ch, o=(r*width+c)*4;
+        for(let k=0;k<3;k++) out[o+k] = enc(data[i+(ch===1?0:k)])*255;
+        out[o+3] = 255;
+      }
+    }
+    return new ImageData(out,width,height);
+  }
+
+  async function _decode(map, kind){
+    if(map.url && !isTextureUrl(map.url)) throw new Error(`[texturepaint] Not a shipped texture: ${map.url}`);
+    const bytes = map.url ? new Uint8Array(await (await fetch(map.url)).arrayBuffer()) : map.bytes;
+    // data maps must not be color managed by the browser
+    const opts = { colorSpaceConversion: kind==='diffuse' ? 'default' : 'none' };
+    if(_isExr(bytes)) return createImageBitmap(_exrImage(bytes, kind), opts);
+    return createImageBitmap(new Blob([bytes],{type:map.type||''}), opts);
+  }
+
+  // Resample into layer k of an array (rows flipped: uv.y 0 is the image's bottom,
+  // as with TextureLoader). No image = back to the array's neutral value.
+  function _writeLayer(tex,k,img){
+    const data=tex.image.data, neutral=tex.userData.neutral, ch=neutral.length;
+    const row=TEX_SIZE*ch, base=k*TEX_SIZE*row;
+    if(img){
+      const canvas=document.createElement('canvas');
+      canvas.width=canvas.height=TEX_SIZE;
+      const ctx=canvas.getContext('2d',{willReadFrequently:true});
+      ctx.drawImage(img,0,0,TEX_SIZE,TEX_SIZE);
+      const px=ctx.getImageData(0,0,TEX_SIZE,TEX_SIZE).data;
+      for(let r=0;r<TEX_SIZE;r++){
+        const src=(TEX_SIZE-1-r)*TEX_SIZE*4, dst=base+r*row;
+        if(ch===4) data.set(px.subarray(src,src+row), dst);
+        else for(let c=0;c<TEX_SIZE;c++) data[dst+c]=px[src+c*4];
+      }
+    } else {
+      for(let i=base;i<base+TEX_SIZE*row;i+=ch) data.set(neutral,i);
+    }
+    tex.needsUpdate=true;
+  }
+
+  /**
+   * Bring the texture arrays and per-layer scales in line with appState.textureLayers.
+   * Only maps that changed are decoded again. Rejects with the first image that
+   * failed to decode (the others still load).
+   */
+  async function refreshLayers(){
+    const layers=appState.textureLayers||[];
+    _sizeArrays(layers);
+    layers.forEach(l=>{ state.layerSizes[l.mask]=l.size; });
+    const opts=appState.textureOptions||{};
+    state.projection.triplanar.value=!!opts.triplanar;
+    state.projection.hexTiling.value=!!opts.hexTiling;
+    state.projection.triSharpness.value=opts.sharpness??4;
+    let error=null;
+    await Promise.all(layers.flatMap(l=>MAP_KINDS.map(async (kind)=>{
+      const map=l.maps[kind], slots=uploaded[kind];
+      if(slots[l.mask]===map) return;
+      slots[l.mask]=map;
+      try{
+        const img=map?await _decode(map,kind):null;
+        if(slots[l.mask]!==map){ img?.close?.(); return; } // replaced while decoding
+        _writeLayer(layerArrays[kind],l.mask,img);
+        img?.close?.();
+      }catch(e){
+        slots[l.mask]=undefined;
+        error??=new Error(`[texturepaint] Could not load the ${kind} image for "${l.name}".`);
+        console.error(e);
+      }
+    })));
+    if(error) throw error;
   }
 
   function _ensureUVs(mat){
@@ -76,24 +315,29 @@ export default function initTexturePainter(appState) {
       shader.defines = shader.defines || {};
       shader.defines.USE_UV = 1;
 
-      shader.uniforms.mapSand      = { value: maps.sand };
-      shader.uniforms.mapDryground = { value: maps.dryground };
-      shader.uniforms.mapSandstone = { value: maps.sandstone };
-      shader.uniforms.mapCoastsand = { value: maps.coastsand };
-      shader.uniforms.tiles        = { value: state.tilesUniform };
-      shader.uniforms.uvScale      = { value: state.uvScale };
+      shader.uniforms.layerMaps  = arrayUniforms.diffuse;
+      shader.uniforms.layerRough = arrayUniforms.roughness;
+      shader.uniforms.layerNormal = arrayUniforms.normal;
+      shader.uniforms.layerSize  = { value: state.layerSizes };
+      Object.assign(shader.uniforms, state.projection);
 
       shader.vertexShader = shader.vertexShader
         .replace(
           '#include <uv_pars_vertex>',
           `#include <uv_pars_vertex>
-           attribute float mask1; attribute float mask2; attribute float mask3; attribute float mask4;
-           varying float vMask1; varying float vMask2; varying float vMask3; varying float vMask4;`
+           ${MASK_ATTRS_GLSL}
+           ${MASK_VARYINGS_GLSL}
+           ${TERRAIN_VARYINGS_GLSL}`
         )
         .replace(
           '#include <uv_vertex>',
           `#include <uv_vertex>
-           vMask1 = mask1; vMask2 = mask2; vMask3 = mask3; vMask4 = mask4;`
+           ${MASK_ASSIGN_GLSL}`
+        )
+        .replace(
+          '#include <begin_vertex>',
+          `#include <begin_vertex>
+           vTerrainPos = position; vTerrainNormal = objectNormal;`
         );
 
       // ---- FIX: no mapTexelToLinear dependency; do our own sRGB->Linear ----
@@ -101,32 +345,27 @@ export default function initTexturePainter(appState) {
         .replace(
           '#include <common>',
           `#include <common>
-           uniform sampler2D mapSand, mapDryground, mapSandstone, mapCoastsand;
-           uniform vec2 tiles; uniform float uvScale;
-           varying float vMask1, vMask2, vMask3, vMask4;
-
-           vec3 srgbToLinear(vec3 c){ return pow(c, vec3(2.2)); }`
+           ${BLEND_PARS_GLSL}
+           uniform mat3 normalMatrix;`
         )
         .replace(
           'vec4 diffuseColor = vec4( diffuse, opacity );',
           `vec4 diffuseColor = vec4( diffuse, opacity );
-           vec2 tileUV = fract(vUv * tiles) * uvScale;
-
-           vec3 tex1 = srgbToLinear(texture2D(mapSand,      tileUV).rgb);
-           vec3 tex2 = srgbToLinear(texture2D(mapDryground, tileUV).rgb);
-           vec3 tex3 = srgbToLinear(texture2D(mapSandstone, tileUV).rgb);
-           vec3 tex4 = srgbToLinear(texture2D(mapCoastsand, tileUV).rgb);
-
-           float w1 = clamp(vMask1,0.0,1.0);
-           float w2 = clamp(vMask2,0.0,1.0);
-           float w3 = clamp(vMask3,0.0,1.0);
-           float w4 = clamp(vMask4,0.0,1.0);
-           float s  = w1+w2+w3+w4;
-
-           if(s>1e-5){
-             vec3 blend = (w1*tex1 + w2*tex2 + w3*tex3 + w4*tex4)/s;
-             diffuseColor.rgb = mix(diffuseColor.rgb, blend, clamp(s,0.0,1.0));
+           vec3 layerAlbedo, layerN; float layerR;
+           float layerW = clamp(blendLayers(layerAlbedo, layerR, layerN), 0.0, 1.0);
+           if(layerW>1e-5){
+             diffuseColor.rgb = mix(diffuseColor.rgb, layerAlbedo, layerW);
            }`
+        )
+        .replace(
+          '#include <roughnessmap_fragment>',
+          `#include <roughnessmap_fragment>
+           roughnessFactor = mix(roughnessFactor, layerR, layerW);`
+        )
+        .replace(
+          '#include <normal_fragment_maps>',
+          `#include <normal_fragment_maps>
+           if(layerW>1e-5) normal = normalize(mix(normal, normalize(normalMatrix * layerN), layerW));`
         );
 
       mat.userData._shader = shader;
@@ -135,14 +374,6 @@ export default function initTexturePainter(appState) {
     mat.needsUpdate = true;
   }
 
-  function _updateTileUniforms(){
-    const cfg = appState?.config;
-    if(!cfg) return;
-    state.tilesUniform.set(cfg.TILES_X, cfg.TILES_Y);
-    const sh = appState.terrainMaterial?.userData?._shader;
-    if(sh) sh.uniforms.tiles.value.copy(state.tilesUniform);
-  }
-
   function _localToTile(x,z){
     const {TILE_SIZE,TILES_X,TILES_Y} = appState.config;
     const W = TILES_X*TILE_SIZE, H = TILES_Y*TILE_SIZE;
@@ -163,64 +394,177 @@ export default function initTexturePainter(appState) {
     const vpr = widthSeg+1;
     const col0=i*SUBDIVISIONS, col1=(i+1)*SUBDIVISIONS;
     const row0=j*SUBDIVISIONS, row1=(j+1)*SUBDIVISIONS;
-    const keys=['sand','dryground','sandstone','coastsand'];
+    const m=_activeMask();
+    const lock=state.lockAttr;
+    if(m<0) return;
 
     for(let r=row0;r<=row1;r++){
       for(let c=col0;c<=col1;c++){
         const idx=r*vpr+c;
-        for(const k of keys){
-          const a=state.maskAttrs[k];
-          if(a) a.array[idx]=(k===state.activeKey)?1.0:0.0;
-        }
+        state.maskAttrs.forEach((a,k)=>{
+          if(state.erase){ if(k===m) a.array[idx]=0.0; }
+          else a.array[idx]=(k===m)?1.0:0.0;
+        });
+        if(lock) lock.array[idx]=1;
       }
     }
   }
 
   function _paintArea(iCenter,jCenter){
     const R = Math.max(0, state.brushRadius|0);
+    const {TILES_X,TILES_Y} = appState.config;
+    const hist = appState.history;
+    hist?.touchMasks({
+      c0:Math.max(0,iCenter-R)*SUBDIVISIONS, r0:Math.max(0,jCenter-R)*SUBDIVISIONS,
+      c1:Math.min(TILES_X,iCenter+R+1)*SUBDIVISIONS, r1:Math.min(TILES_Y,jCenter+R+1)*SUBDIVISIONS,
+    });
     for(let j=jCenter-R; j<=jCenter+R; j++){
       for(let i=iCenter-R; i<=iCenter+R; i++){
         _paintTileSingle(i,j);
       }
     }
-    Object.values(state.maskAttrs).forEach(a=>{ if(a) a.needsUpdate=true; });
+    state.maskAttrs.forEach(a=>{ a.needsUpdate=true; });
+    if(state.lockAttr) state.lockAttr.needsUpdate=true;
   }
 
   function _clearAll(){
-    Object.values(state.maskAttrs).forEach(a=>{
-      if(a){ a.array.fill(0); a.needsUpdate=true; }
-    });
+    state.maskAttrs.forEach(a=>{ a.array.fill(0); a.needsUpdate=true; });
+    _clearLocks();
+  }
+
+  // Forget which vertices were painted by hand (the next auto paint covers them)
+  function _clearLocks(){
+    if(state.lockAttr){ state.lockAttr.array.fill(0); state.lockAttr.needsUpdate=true; }
   }
 
+  // Whole map = one layer (default: the base layer)
   function _fillAll(key){
-    const keys=['sand','dryground','sandstone','coastsand'];
-    for(const k of keys){
-      const a=state.maskAttrs[k];
-      if(!a) continue;
-      a.array.fill(k===key?1:0);
-      a.needsUpdate=true;
+    const m=(key?layerByKey(appState,key):baseLayer(appState))?.mask ?? -1;
+    state.maskAttrs.forEach((a,k)=>{ a.array.fill(k===m?1:0); a.needsUpdate=true; });
+    _clearLocks();
+  }
+
+  // ---- soft brush ----
+  // One dab centred on LOCAL x/z: blend every vertex inside the circle toward the
+  // active layer (or away from it when erasing), weighted by falloff × flow.
+  function _softDab(x,z){
+    const mesh=appState.terrainMesh;
+    const attrs=state.maskAttrs;
+    const m=_activeMask();
+    if(!mesh||m<0||attrs.length!==N) return;
+    const {width,height,widthSegments,heightSegments}=mesh.geometry.parameters;
+    const cell=width/widthSegments, vpr=widthSegments+1;
+    const {radius,opacity,flow}=state.soft;
+    const falloff=makeFalloff(state.soft);
+
+    const c0=Math.max(0,Math.ceil((x-radius+width/2)/cell)), c1=Math.min(widthSegments,Math.floor((x+radius+width/2)/cell));
+    const r0=Math.max(0,Math.ceil((z-radius+height/2)/cell)), r1=Math.min(heightSegments,Math.floor((z+radius+height/2)/cell));
+    if(c0>c1||r0>r1) return;
+    appState.history?.touchMasks({c0,r0,c1,r1});
+
+    const lock=state.lockAttr;
+    for(let r=r0;r<=r1;r++){
+      for(let c=c0;c<=c1;c++){
+        const w=falloff(Math.hypot(c*cell-width/2-x, r*cell-height/2-z), radius)*flow;
+        if(w<=0) continue;
+        const idx=r*vpr+c;
+        let v=stroke.touched.get(idx);
+        if(!v){ v={orig:attrs.map(a=>a.array[idx]), a:0}; stroke.touched.set(idx,v); }
+        v.a+=w*(1-v.a);
+        const t=v.a*opacity;
+        for(let k=0;k<N;k++){
+          const o=v.orig[k];
+          if(state.erase) attrs[k].array[idx]=(k===m)?o*(1-t):o;
+          else attrs[k].array[idx]=o*(1-t)+((k===m)?t:0);
+        }
+        if(lock) lock.array[idx]=1;
+      }
+    }
+    // whole rows: one contiguous upload range
+    const start=r0*vpr, count=(r1-r0+1)*vpr;
+    [...attrs,lock].forEach(a=>{ if(a){ a.addUpdateRange(start,count); a.needsUpdate=true; } });
+  }
+
+  function _softDabAll(x,z){
+    const done=[];
+    for(const [sx,sz] of symmetryPoints(appState,x,z)){
+      if(done.some(d=>Math.abs(d[0]-sx)+Math.abs(d[1]-sz)<1e-3)) continue;
+      done.push([sx,sz]);
+      _softDab(sx,sz);
     }
   }
 
   const ray = new THREE.Raycaster();
-  function _onPointerDown(ev){
-    if(!state.activeKey||!appState.terrainMesh)return;
+  function _pickLocal(ev){
     const rect=appState.renderer.domElement.getBoundingClientRect();
     const x=((ev.clientX-rect.left)/rect.width)*2-1;
     const y=-((ev.clientY-rect.top)/rect.height)*2+1;
     ray.setFromCamera({x,y},appState.camera);
     const hits=ray.intersectObject(appState.terrainMesh,false);
-    if(!hits.length)return;
-    const local=appState.terrainMesh.worldToLocal(hits[0].point.clone());
-    const {i,j}=_localToTile(local.x,local.z);
-    _paintArea(i,j);
+    return hits.length?appState.terrainMesh.worldToLocal(hits[0].point.clone()):null;
+  }
+
+  // Capture phase so a soft stroke pre-empts orbiting and tap-to-move
+  function _onSoftDown(ev){
+    if(!state.activeKey||state.brushMode!=='soft'||!appState.terrainMesh)return;
+    const local=_pickLocal(ev);
+    if(!local)return;
+    ev.stopImmediatePropagation();
+    ev.preventDefault();
+    try{ appState.renderer.domElement.setPointerCapture(ev.pointerId); }catch(_){}
+    stroke={touched:new Map(), dab:[local.x,local.z]};
+    appState.history?.begin(state.erase?'Erase paint':'Paint');
+    _softDabAll(local.x,local.z);
+  }
+
+  // Dabs every quarter radius along the pointer path
+  function _onSoftMove(ev){
+    if(!stroke||!appState.terrainMesh)return;
+    const local=_pickLocal(ev);
+    if(!local)return;
+    const spacing=Math.max(0.5,state.soft.radius*0.25);
+    let [x,z]=stroke.dab;
+    let dist=Math.hypot(local.x-x,local.z-z);
+    while(dist>=spacing){
+      x+=(local.x-x)*spacing/dist; z+=(local.z-z)*spacing/dist;
+      _softDabAll(x,z);
+      dist-=spacing;
+    }
+    stroke.dab=[x,z];
+  }
+
+  function _onSoftUp(){
+    if(!stroke)return;
+    stroke=null;
+    appState.history?.end();
+  }
+
+  function _onPointerDown(ev){
+    if(!state.activeKey||state.brushMode!=='tile'||!appState.terrainMesh)return;
+    const local=_pickLocal(ev);
+    if(!local)return;
+    // one undo step for the tap and all of its symmetric copies
+    const done=new Set();
+    appState.history?.begin(state.erase?'Erase paint':'Paint');
+    for(const [x,z] of symmetryPoints(appState,local.x,local.z)){
+      const {i,j}=_localToTile(x,z);
+      if(done.has(i+','+j)) continue;
+      done.add(i+','+j);
+      _paintArea(i,j);
+    }
+    appState.history?.end();
+  }
+
+  function _syncTerrainHalf(){
+    const {width,height}=appState.terrainMesh.geometry.parameters;
+    state.projection.terrainHalf.value.set(width/2,height/2);
   }
 
   function attachToTerrain(){
     if(!appState.terrainMesh||!appState.terrainMaterial)return;
+    _syncTerrainHalf();
     _addOrResizeMaskAttributes(appState.terrainMesh);
     _hookMaterial(appState.terrainMaterial);
-    _updateTileUniforms();
   }
 
   function setActive(key){
@@ -229,11 +573,108 @@ export default function initTexturePainter(appState) {
   }
 
   function setBrushRadius(n){ state.brushRadius = Math.max(0, (n|0)); }
+  function setBrushMode(mode){ state.brushMode = mode==='soft' ? 'soft' : 'tile'; }
+  function setErase(on){ state.erase = !!on; }
+  // { radius (world units), opacity, flow, falloff } — any subset
+  function setSoftBrush(opts){ Object.assign(state.soft, opts); }
+
+  // Render the blended diffuse into a size×size sRGB canvas laid out in mesh UV
+  // space (row 0 = uv.y 1). Used by exporters since onBeforeCompile won't survive.
+  function bakeDiffuse(size=2048){
+    const mesh=appState.terrainMesh, renderer=appState.renderer;
+    if(!mesh||!renderer) return null;
+    _syncTerrainHalf();
+
+    const src=mesh.geometry;
+    const geom=new THREE.BufferGeometry();
+    ['position','normal','uv','color',...MASK_NAMES].forEach(n=>{ const a=src.getAttribute(n); if(a) geom.setAttribute(n,a); });
+    geom.setIndex(src.index);
+
+    const mat=new THREE.ShaderMaterial({
+      uniforms:{
+        layerMaps:arrayUniforms.diffuse, layerRough:arrayUniforms.roughness,
+        layerNormal:arrayUniforms.normal, layerSize:{value:state.layerSizes},
+        ...state.projection,
+        baseColor:{value:(appState.terrainMaterial?.color||new THREE.Color(1,1,1)).clone()},
+      },
+      vertexShader:`
+        ${MASK_ATTRS_GLSL}
+        attribute vec3 color;
+        varying vec2 vUv; varying vec3 vColor;
+        ${MASK_VARYINGS_GLSL}
+        ${TERRAIN_VARYINGS_GLSL}
+        void main(){
+          vUv=uv; vColor=color;
+          vTerrainPos=position; vTerrainNormal=normal;
+          ${MASK_ASSIGN_GLSL}
+          gl_Position=vec4(uv*2.0-1.0,0.0,1.0);
+        }`,
+      fragmentShader:`
+        uniform vec3 baseColor;
+        varying vec2 vUv; varying vec3 vColor;
+        ${BLEND_PARS_GLSL}
+        void main(){
+          vec3 blend, n; float r;
+          float s = blendLayers(blend, r, n);
+          vec3 col = baseColor * vColor;
+          if(s>1e-5) col = mix(col, blend, clamp(s,0.0,1.0));
+          gl_FragColor = vec4(pow(col, vec3(1.0/2.2)), 1.0);
+        }`,
+      depthTest:false, depthWrite:false,
+    });
+    const quad=new THREE.Mesh(geom,mat);
+    quad.frustumCulled=false;
+    const scene=new THREE.Scene();
+    scene.add(quad);
+    const cam=new THREE.OrthographicCamera(-1,1,1,-1,0,1);
+
+    const rt=new THREE.WebGLRenderTarget(size,size);
+    const prevRT=renderer.getRenderTarget();
+    renderer.setRenderTarget(rt);
+    renderer.clear();
+    renderer.render(scene,cam);
+    const px=new Uint8Array(size*size*4);
+    renderer.readRenderTargetPixels(rt,0,0,size,size,px);
+    renderer.setRenderTarget(prevRT);
+    rt.dispose(); mat.dispose();
+
+    // GL rows start at the bottom; canvas rows at the top
+    const canvas=document.createElement('canvas');
+    canvas.width=canvas.height=size;
+    const ctx=canvas.getContext('2d');
+    const img=ctx.createImageData(size,size);
+    const rowBytes=size*4;
+    for(let r=0;r<size;r++){
+      img.data.set(px.subarray((size-1-r)*rowBytes,(size-r)*rowBytes), r*rowBytes);
+    }
+    ctx.putImageData(img,0,0);
+    return canvas;
+  }
 
   if(!appState.__texturePainterInstalled){
-    appState.renderer.domElement.addEventListener('pointerdown',_onPointerDown,{passive:true});
+    const el=appState.renderer.domElement;
+    el.addEventListener('pointerdown',_onPointerDown,{passive:true});
+    el.addEventListener('pointerdown',_onSoftDown,{capture:true});
+    el.addEventListener('pointermove',_onSoftMove);
+    window.addEventListener('pointerup',_onSoftUp);
+    window.addEventListener('pointercancel',_onSoftUp);
+    window.addEventListener('tc:project-loaded',()=>{ refreshLayers().catch(e=>console.error(e)); });
     appState.__texturePainterInstalled=true;
   }
 
-  return { attachToTerrain, setActive, setBrushRadius, clearAll:_clearAll, fillAll:_fillAll };
+  // Tile rect _paintArea would touch for a tap at LOCAL x/z (inclusive, clamped to the map)
+  function paintRect(x,z){
+    const R = Math.max(0, state.brushRadius|0);
+    const {TILES_X,TILES_Y} = appState.config;
+    const {i,j} = _localToTile(x,z);
+    return { i0:Math.max(0,i-R), j0:Math.max(0,j-R), i1:Math.min(TILES_X-1,i+R), j1:Math.min(TILES_Y-1,j+R) };
+  }
+
+  return {
+    attachToTerrain, refreshLayers, setActive, setBrushRadius, setBrushMode, setErase, setSoftBrush,
+    bakeDiffuse, clearAll:_clearAll, fillAll:_fillAll, clearLocks:_clearLocks,
+    isActive:()=>!!state.activeKey, paintRect,
+    // soft brush settings for the cursor, or null in tile mode
+    softBrush:()=>(state.brushMode==='soft'?{...state.soft}:null),
+  };
 }
\ No newline at end of file
@@ -1,6 +1,7 @@
 // file: src/trees.js
 import * as THREE from 'three';
 import { dispose } from './utils.js';
+import { makeRng } from './random.js';
 
 const _clamp = (x, a, b) => Math.min(b, Math.max(a, x));
 
@@ -52,9 +53,8 @@ function sampleHeightLocal(x, z, appState) {
   return y0 * (1 - fz) + y1 * fz;
 }
 
-function makeTree(config) {
-  const { TILE_SIZE, CHAR_HEIGHT_UNITS, TREE_MIN_RATIO, TREE_MAX_RATIO } = config;
-  const ratio = THREE.MathUtils.lerp(TREE_MIN_RATIO, TREE_MAX_RATIO, Math.random());
+function makeTree(config, ratio) {
+  const { TILE_SIZE, CHAR_HEIGHT_UNITS } = config;
   const totalH = CHAR_HEIGHT_UNITS * ratio;
   const trunkH = totalH * 0.42;
   const crownH = totalH - trunkH;
@@ -82,35 +82,63 @@ function makeTree(config) {
   return g;
 }
 
-export function populateTrees(count, appState) {
+// Rebuild the trees group from explicit placements: [{ i, j, ratio }, ...]
+export function placeTrees(placements, appState) {
   dispose(appState.treesGroup);
   appState.treesGroup = null;
 
-  if (!appState.terrainMesh || count <= 0) return;
-  
+  if (!appState.terrainMesh || !placements?.length) return;
+
   const { terrainGroup, config } = appState;
   const { TILES_X, TILES_Y } = config;
 
   appState.treesGroup = new THREE.Group();
   appState.treesGroup.name = 'Trees';
-  
-  const max = Math.min(count, TILES_X * TILES_Y);
-  const used = new Set();
-  let placed = 0;
-  
-  while (placed < max) {
-    const i = (Math.random() * TILES_X) | 0; // main tile i
-    const j = (Math.random() * TILES_Y) | 0; // main tile j
-    const key = `${i},${j}`;
-    if (used.has(key)) continue;
-    
-    used.add(key);
+
+  for (const p of placements) {
+    const i = p.i | 0, j = p.j | 0;
+    if (i < 0 || j < 0 || i >= TILES_X || j >= TILES_Y) continue;
     const c = tileCenterLocal(i, j, config); // center of BIG tile
     const y = sampleHeightLocal(c.x, c.z, appState); // correct bilinear sample
-    const t = makeTree(config);
+    const t = makeTree(config, p.ratio);
     t.position.set(c.x, y, c.z);
+    t.userData.placement = { i, j, ratio: p.ratio };
     appState.treesGroup.add(t);
-    placed++;
   }
   terrainGroup.add(appState.treesGroup);
 }
+
+// Current placements (for saving / snapshots)
+export function getTreePlacements(appState) {
+  const out = [];
+  appState.treesGroup?.children.forEach(t => {
+    if (t.userData.placement) out.push({ ...t.userData.placement });
+  });
+  return out;
+}
+
+export function populateTrees(count, appState) {
+  if (!appState.terrainMesh || count <= 0) {
+    placeTrees([], appState);
+    return;
+  }
+
+  const { TILES_X, TILES_Y, TREE_MIN_RATIO, TREE_MAX_RATIO, SEED } = appState.config;
+  const rand = makeRng(SEED, 'trees');
+
+  const max = Math.min(count, TILES_X * TILES_Y);
+  const used = new Set();
+  const placements = [];
+
+  while (placements.length < max) {
+    const i = (rand() * TILES_X) | 0; // main tile i
+    const j = (rand() * TILES_Y) | 0; // main tile j
+    const key = `${i},${j}`;
+    if (used.has(key)) continue;
+
+    used.add(key);
+    const ratio = THREE.MathUtils.lerp(TREE_MIN_RATIO, TREE_MAX_RATIO, rand());
+    placements.push({ i, j, ratio });
+  }
+  placeTrees(placements, appState);
+}
@@ -1,17 +1,67 @@
 // file: src/ui.js
-import { createTerrain, randomizeTerrain, applyHeightmapTemplate } from './terrain.js';
+import {
+  createTerrain, randomizeTerrain, applyHeightmapTemplate,
+  erodeTerrainHydraulic, erodeTerrainThermal,
+} from './terrain.js';
 import { populateTrees } from './trees.js';
 import { updateCameraBounds } from './camera.js';
+import { saveProject, loadProjectFile } from './project.js';
+import { resizeTerrain } from './resize.js';
+import { decodeHeightmapFile, importHeightmap } from './heightmap.js';
+import { downloadGLB, downloadEngineMaps } from './export.js';
+import { randomSeed } from './random.js';
+import { cancelTerrainJobs } from './jobclient.js';
+import { GENERATORS, BLEND_MODES, makeLayer, applyLayerStack } from './layers.js';
+import { armCenterPick } from './symmetry.js';
+import { builtinStamps, importStampFile } from './stamps.js';
+import { makeRoad, applyRoad, removeRoadFromTerrain, deleteRoad, initRoadEditor } from './roads.js';
+import { armLakePick } from './water.js';
+import { makeRule, applyAutoPaint } from './autopaint.js';
+import {
+  MAX_TEXTURE_LAYERS, MAP_KINDS, layerByKey, addTextureLayer, moveTextureLayer, removeTextureLayer, isTextureUrl,
+} from './texlayers.js';
 
 let uiState = {
   sculptOn: false,
   step: 0.2,
   radius: 2,
-  mode: 'raise' // raise | lower | smooth
+  mode: 'raise', // raise | lower | smooth | thermal | flatten | setHeight | noise | pinch | ramp
+  targetHeight: 0, // world units, for the set-height brush
+  falloff: 'smooth', // smooth | linear | sharp | constant | custom
+  falloffCurve: [1, 0.9, 0.6, 0.2, 0], // custom falloff, centre to rim
+  spacing: 8, // world units between dabs along a stroke
+  usePressure: true,
+  stamp: null, // see stamps.js
+  stampRotation: 0, // degrees
+  stampScale: 1, // × brush radius
+  stampHeight: 1, // × stamp amplitude
+  stampBlend: 'add', // add | max | replace
+  stampCapture: false,
+  talusAngle: 35, // degrees, shared by the thermal pass and the thermal brush
+  jobRunning: false // a background job owns the heights (sculpting and JOB_LOCKED are blocked)
 };
 
 export function getUiState() { return uiState; }
 
+// Controls that rewrite the terrain; a job's result would overwrite them (or a
+// rebuild would fail the job), so they are off while one runs
+const JOB_LOCKED = ['genTerrain', 'rsApply', 'hmChoose', 'hmApply', 'openProject',
+  'roadApply', 'roadRemove', 'roadDelete', 'roadWidth', 'roadShoulder', 'roadTexture'];
+
+function lockForJob(on) {
+  JOB_LOCKED.forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    if (on) {
+      el.dataset.jobWasDisabled = el.disabled ? '1' : '';
+      el.disabled = true;
+    } else if ('jobWasDisabled' in el.dataset) {
+      el.disabled = el.dataset.jobWasDisabled === '1';
+      delete el.dataset.jobWasDisabled;
+    }
+  });
+}
+
 export function initUI(appState) {
   // Tabs
   document.querySelectorAll('.tab').forEach(b => {
@@ -26,25 +76,241 @@ export function initUI(appState) {
   // Terrain size + actions
   const tilesX = document.getElementById('tilesX');
   const tilesY = document.getElementById('tilesY');
-  document.getElementById('genTerrain').addEventListener('click', () => {
+  // Undo: snapshot the parts an operation changes (size = everything, terrain rebuilt)
+  const history = appState.history;
+  const recorded = (label, what, fn) => (history ? history.snapshot(label, what, fn) : fn());
+
+  document.getElementById('genTerrain').addEventListener('click', () => !uiState.jobRunning && recorded('Generate', { size: true }, () => {
     appState.config.TILES_X = Math.max(2, Math.min(256, parseInt(tilesX.value || '30', 10)));
     appState.config.TILES_Y = Math.max(2, Math.min(256, parseInt(tilesY.value || '30', 10)));
     createTerrain(appState);
     updateCameraBounds(appState);
     // Notify others (texture painter) that geometry was rebuilt
     try { window.dispatchEvent(new Event('tc:terrain-rebuilt')); } catch(_) {}
+  }));
+
+  // Background jobs (worker): the clicked button becomes "Cancel" and its bar shows progress.
+  // One job at a time; other job buttons are ignored while one runs. Every job rewrites
+  // the heights and becomes one undo step (nothing is recorded when cancelled).
+  const setProgress = (el, t) => { el.querySelector('.fill').style.width = `${Math.round(t * 100)}%`; };
+  let activeJobBtn = null;
+  const runJob = async (btn, bar, label, job) => {
+    if (activeJobBtn) {
+      if (activeJobBtn === btn) cancelTerrainJobs();
+      return;
+    }
+    const btnText = btn.textContent;
+    activeJobBtn = btn;
+    uiState.jobRunning = true;
+    lockForJob(true);
+    btn.textContent = 'Cancel';
+    btn.classList.add('on');
+    bar.hidden = false;
+    setProgress(bar, 0);
+    try {
+      await recorded(label, { heights: true }, () => job((t) => setProgress(bar, t)));
+    } catch (e) {
+      if (e?.name !== 'AbortError') console.error(e);
+    } finally {
+      activeJobBtn = null;
+      uiState.jobRunning = false;
+      lockForJob(false);
+      btn.textContent = btnText;
+      btn.classList.remove('on');
+      bar.hidden = true;
+    }
+  };
+
+  const jitterBtn = document.getElementById('randomize');
+  const jitterProgress = document.getElementById('jitterProgress');
+  jitterBtn.addEventListener('click', () => runJob(jitterBtn, jitterProgress, 'Random jitter', p => randomizeTerrain(appState, p)));
+
+  // Resize without wiping (resample, or extend/crop around an anchor)
+  const rsMode = document.getElementById('rsMode');
+  const rsAnchor = document.getElementById('rsAnchor');
+  const rsFill = document.getElementById('rsFill');
+  const syncResizeUi = () => { rsAnchor.disabled = rsFill.disabled = rsMode.value !== 'canvas'; };
+  rsMode.addEventListener('change', syncResizeUi);
+  syncResizeUi();
+  document.getElementById('rsApply').addEventListener('click', async () => {
+    if (uiState.jobRunning) return;
+    const x = Math.max(2, Math.min(256, parseInt(tilesX.value || '30', 10)));
+    const y = Math.max(2, Math.min(256, parseInt(tilesY.value || '30', 10)));
+    tilesX.value = String(x);
+    tilesY.value = String(y);
+    try {
+      await recorded('Resize', { size: true }, () => resizeTerrain(appState, x, y, {
+        mode: rsMode.value,
+        anchor: rsAnchor.value,
+        fill: parseFloat(rsFill.value) || 0,
+      }));
+    } catch (e) {
+      console.error(e);
+    }
+  });
+
+  // Seed (used by templates, jitter, tree scatter)
+  const seedInput = document.getElementById('seedInput');
+  const pushSeed = () => {
+    const n = Math.max(0, parseInt(seedInput.value || '0', 10) || 0) >>> 0;
+    seedInput.value = String(n);
+    appState.config.SEED = n;
+  };
+  seedInput.value = String(appState.config.SEED ?? 0);
+  seedInput.addEventListener('change', pushSeed);
+  document.getElementById('seedNew').addEventListener('click', () => {
+    seedInput.value = String(randomSeed());
+    pushSeed();
   });
-  document.getElementById('randomize').addEventListener('click', () => randomizeTerrain(appState));
 
   // Templates
   const templateSel = document.getElementById('template');
-  document.getElementById('applyTemplate').addEventListener('click', () => applyHeightmapTemplate(templateSel.value, appState));
+  const templateBtn = document.getElementById('applyTemplate');
+  const templateProgress = document.getElementById('templateProgress');
+  templateBtn.addEventListener('click', () => runJob(templateBtn, templateProgress, 'Template',
+    p => applyHeightmapTemplate(templateSel.value, appState, p)));
+
+  // Heightmap import (file is kept so options can be re-applied)
+  const hm = {
+    file: null, flipX: false, flipY: false,
+    choose: document.getElementById('hmChoose'),
+    apply: document.getElementById('hmApply'),
+    input: document.getElementById('hmFile'),
+    status: document.getElementById('hmStatus'),
+  };
+  const hmFlipX = document.getElementById('hmFlipX');
+  const hmFlipY = document.getElementById('hmFlipY');
+  hmFlipX.addEventListener('click', () => { hm.flipX = !hm.flipX; hmFlipX.classList.toggle('on', hm.flipX); });
+  hmFlipY.addEventListener('click', () => { hm.flipY = !hm.flipY; hmFlipY.classList.toggle('on', hm.flipY); });
+
+  const applyHeightmapFile = async () => {
+    if (!hm.file) return;
+    const num = (id, d) => { const v = parseFloat(document.getElementById(id).value); return isNaN(v) ? d : v; };
+    try {
+      const img = await decodeHeightmapFile(hm.file, {
+        width: Math.max(0, num('hmRawWidth', 0) | 0),
+        littleEndian: document.getElementById('hmRawEndian').value !== 'be',
+      });
+      // a job may have started while the file was decoding
+      if (uiState.jobRunning) throw new Error('[ui] Wait for the running job (or cancel it) before importing.');
+      await recorded('Import heightmap', { heights: true }, () => importHeightmap(img, appState, {
+        outMin: num('hmLow', appState.config.MIN_H),
+        outMax: num('hmHigh', appState.config.MAX_H),
+        fit: document.getElementById('hmFit').value,
+        rotate: parseInt(document.getElementById('hmRotate').value, 10) || 0,
+        flipX: hm.flipX,
+        flipY: hm.flipY,
+      }));
+      hm.status.textContent = `${hm.file.name}: ${img.width}×${img.height}, ${img.bits}-bit.`;
+    } catch (e) {
+      console.error(e);
+      hm.status.textContent = e?.message || 'Heightmap import failed.';
+    }
+  };
+  hm.choose.addEventListener('click', () => hm.input.click());
+  hm.input.addEventListener('change', () => {
+    const file = hm.input.files?.[0];
+    hm.input.value = '';
+    if (!file) return;
+    hm.file = file;
+    hm.apply.disabled = false;
+    applyHeightmapFile();
+  });
+  hm.apply.addEventListener('click', applyHeightmapFile);
+
+  // Hydraulic erosion
+  const erRun = document.getElementById('erRun');
+  const erProgress = document.getElementById('erProgress');
+  erRun.addEventListener('click', () => {
+    const num = (id, d) => { const v = parseFloat(document.getElementById(id).value); return isNaN(v) ? d : v; };
+    runJob(erRun, erProgress, 'Hydraulic erosion', p => erodeTerrainHydraulic(appState, {
+      iterations: Math.max(1000, num('erIterations', 30000) | 0),
+      inertia: Math.min(0.99, Math.max(0, num('erInertia', 0.05))),
+      capacity: Math.max(0.1, num('erCapacity', 4)),
+      deposition: Math.min(1, Math.max(0, num('erDeposition', 0.3))),
+      evaporation: Math.min(0.5, Math.max(0, num('erEvaporation', 0.01))),
+    }, p));
+  });
+
+  // Thermal erosion (global); the talus angle also drives the Thermal sculpt brush
+  const thTalus = document.getElementById('thTalus');
+  const thRun = document.getElementById('thRun');
+  const thProgress = document.getElementById('thProgress');
+  const pushTalus = () => {
+    const v = parseFloat(thTalus.value);
+    uiState.talusAngle = Math.min(80, Math.max(5, isNaN(v) ? 35 : v));
+    thTalus.value = String(uiState.talusAngle);
+  };
+  thTalus.addEventListener('change', pushTalus);
+  thRun.addEventListener('click', () => {
+    pushTalus();
+    const num = (id, d) => { const v = parseFloat(document.getElementById(id).value); return isNaN(v) ? d : v; };
+    runJob(thRun, thProgress, 'Thermal erosion', p => erodeTerrainThermal(appState, {
+      talusAngle: uiState.talusAngle,
+      iterations: Math.min(1000, Math.max(1, num('thIterations', 50) | 0)),
+      strength: Math.min(1, Math.max(0.05, num('thStrength', 0.5))),
+    }, p));
+  });
+
+  // Water (sea level + lakes); settings live on appState.water
+  const waterOn = document.getElementById('waterOn');
+  const seaLevel = document.getElementById('seaLevel');
+  const lakeDepth = document.getElementById('lakeDepth');
+  const lakeAdd = document.getElementById('lakeAdd');
+  const walkOnWater = document.getElementById('walkOnWater');
+  const waterStatus = document.getElementById('waterStatus');
+  const lakeCount = () => {
+    const n = appState.water.lakes.length;
+    waterStatus.textContent = n ? `${n} lake${n === 1 ? '' : 's'}.` : 'No lakes.';
+  };
+  const syncWater = () => {
+    waterOn.checked = appState.water.enabled;
+    seaLevel.value = String(appState.water.level);
+    walkOnWater.checked = appState.water.walkOnWater;
+  };
+  let disarmLake = null;
+  const stopLake = () => { disarmLake?.(); disarmLake = null; lakeAdd.classList.remove('on'); };
+  waterOn.addEventListener('change', () => {
+    appState.water.enabled = waterOn.checked;
+    appState.waterView?.refresh();
+  });
+  seaLevel.addEventListener('change', () => {
+    const v = parseFloat(seaLevel.value);
+    const { MIN_H, MAX_H } = appState.config;
+    appState.water.level = Math.min(MAX_H, Math.max(MIN_H, isNaN(v) ? appState.water.level : v));
+    seaLevel.value = String(appState.water.level);
+    appState.waterView?.refresh();
+  });
+  walkOnWater.addEventListener('change', () => { appState.water.walkOnWater = walkOnWater.checked; });
+  lakeAdd.addEventListener('click', () => {
+    if (disarmLake) { stopLake(); return; }
+    lakeAdd.classList.add('on');
+    waterStatus.textContent = 'Click the terrain where the lake should be.';
+    const depth = () => { const v = parseFloat(lakeDepth.value); return isNaN(v) ? 8 : Math.min(200, Math.max(0.5, v)); };
+    disarmLake = armLakePick(appState, depth, (lake, err) => {
+      disarmLake = null;
+      lakeAdd.classList.remove('on');
+      if (err) { waterStatus.textContent = err.message; return; }
+      appState.waterView?.refresh();
+      lakeCount();
+    });
+  });
+  document.getElementById('lakeClear').addEventListener('click', () => {
+    stopLake();
+    appState.water.lakes = [];
+    appState.waterView?.refresh();
+    lakeCount();
+  });
+  window.addEventListener('tc:project-loaded', () => { stopLake(); syncWater(); });
+  syncWater();
+
+  initLayerStackPanel(appState, runJob);
 
   // Trees
   const treeCount = document.getElementById('treeCount');
   document.getElementById('applyTrees').addEventListener('click', () => {
     const n = Math.max(0, Math.min(100000, parseInt(treeCount.value || '0', 10)));
-    populateTrees(n, appState);
+    recorded('Trees', { trees: true }, () => populateTrees(n, appState));
   });
 
   // Sculpt
@@ -56,7 +322,11 @@ export function initUI(appState) {
   const stepInput = document.getElementById('stepInput');
   const radiusInput = document.getElementById('radiusInput');
   stepInput.addEventListener('change', () => uiState.step = parseFloat(stepInput.value));
-  radiusInput.addEventListener('change', () => uiState.radius = parseInt(radiusInput.value, 10));
+  radiusInput.addEventListener('change', () => {
+    const v = parseFloat(radiusInput.value);
+    uiState.radius = Math.max(0.25, Math.min(64, isNaN(v) ? 2 : v));
+    radiusInput.value = uiState.radius;
+  });
 
   const clampNum = (el, min, max, step) => {
     const v = parseFloat(el.value);
@@ -67,60 +337,147 @@ export function initUI(appState) {
   };
   document.getElementById('stepDown').addEventListener('click', () => { stepInput.value = (parseFloat(stepInput.value) - 0.2).toFixed(1); clampNum(stepInput, -2, 2, 0.2); });
   document.getElementById('stepUp').addEventListener('click', () => { stepInput.value = (parseFloat(stepInput.value) + 0.2).toFixed(1); clampNum(stepInput, -2, 2, 0.2); });
-  document.getElementById('radiusDown').addEventListener('click', () => { radiusInput.value = Math.max(1, parseInt(radiusInput.value, 10) - 1); radiusInput.dispatchEvent(new Event('change')); });
-  document.getElementById('radiusUp').addEventListener('click', () => { radiusInput.value = Math.min(6, parseInt(radiusInput.value, 10) + 1); radiusInput.dispatchEvent(new Event('change')); });
+  // below one tile the spinner steps by quarters, above it by whole tiles
+  document.getElementById('radiusDown').addEventListener('click', () => { const r = uiState.radius; radiusInput.value = r > 1 ? Math.ceil(r) - 1 : r - 0.25; radiusInput.dispatchEvent(new Event('change')); });
+  document.getElementById('radiusUp').addEventListener('click', () => { const r = uiState.radius; radiusInput.value = r >= 1 ? Math.floor(r) + 1 : r + 0.25; radiusInput.dispatchEvent(new Event('change')); });
 
-  const modeRaise = document.getElementById('modeRaise');
-  const modeLower = document.getElementById('modeLower');
-  const modeSmooth = document.getElementById('modeSmooth');
+  const falloffProfile = document.getElementById('falloffProfile');
+  const falloffCurve = document.getElementById('falloffCurve');
+  falloffProfile.addEventListener('change', () => {
+    uiState.falloff = falloffProfile.value;
+    falloffCurve.disabled = uiState.falloff !== 'custom';
+  });
+  falloffCurve.addEventListener('change', () => {
+    const pts = falloffCurve.value.split(/[\s,;]+/).map(parseFloat).filter(v => !isNaN(v)).map(v => Math.max(0, Math.min(1, v)));
+    if (pts.length >= 2) uiState.falloffCurve = pts;
+    falloffCurve.value = uiState.falloffCurve.join(', ');
+  });
+  const spacingInput = document.getElementById('spacingInput');
+  spacingInput.addEventListener('change', () => {
+    const v = parseFloat(spacingInput.value);
+    uiState.spacing = Math.max(0.5, Math.min(256, isNaN(v) ? 8 : v));
+    spacingInput.value = uiState.spacing;
+  });
+  document.getElementById('usePressure').addEventListener('change', (e) => { uiState.usePressure = e.target.checked; });
+
+  const modeButtons = [
+    { id: 'modeRaise',   mode: 'raise' },
+    { id: 'modeLower',   mode: 'lower' },
+    { id: 'modeSmooth',  mode: 'smooth' },
+    { id: 'modeThermal', mode: 'thermal' },
+    { id: 'modeFlatten', mode: 'flatten' },
+    { id: 'modeSetHeight', mode: 'setHeight' },
+    { id: 'modeNoise',   mode: 'noise' },
+    { id: 'modePinch',   mode: 'pinch' },
+    { id: 'modeRamp',    mode: 'ramp' },
+    { id: 'modeStamp',   mode: 'stamp' },
+  ].map(m => ({ ...m, el: document.getElementById(m.id) })).filter(m => m.el);
   const setMode = (mode) => {
     uiState.mode = mode;
-    modeRaise.classList.toggle('on', mode === 'raise');
-    modeLower.classList.toggle('on', mode === 'lower');
-    modeSmooth.classList.toggle('on', mode === 'smooth');
+    modeButtons.forEach(m => m.el.classList.toggle('on', m.mode === mode));
   };
-  modeRaise.addEventListener('click', () => setMode('raise'));
-  modeLower.addEventListener('click', () => setMode('lower'));
-  modeSmooth.addEventListener('click', () => setMode('smooth'));
+  modeButtons.forEach(m => m.el.addEventListener('click', () => setMode(m.mode)));
 
-  // --- Textures tab --------------------------------------------------------
-  // Single-select “Use/Active” buttons across 4 textures.
-  const buttons = [
-    { id: 'tx-sand-btn',  key: 'sand' },
-    { id: 'tx-dry-btn',   key: 'dryground' },
-    { id: 'tx-stone-btn', key: 'sandstone' },
-    { id: 'tx-coast-btn', key: 'coastsand' },
-  ];
-
-  const byId = {};
-  buttons.forEach(({ id }) => byId[id] = document.getElementById(id));
-
-  function setBtnState(btn, on) {
-    btn.classList.toggle('on', on);
-    btn.textContent = on ? 'Active' : 'Use';
-  }
+  const targetHeight = document.getElementById('targetHeight');
+  targetHeight.min = appState.config.MIN_H;
+  targetHeight.max = appState.config.MAX_H;
+  targetHeight.addEventListener('change', () => {
+    const { MIN_H, MAX_H } = appState.config;
+    const v = parseFloat(targetHeight.value);
+    uiState.targetHeight = Math.max(MIN_H, Math.min(MAX_H, isNaN(v) ? 0 : v));
+    targetHeight.value = uiState.targetHeight;
+  });
 
-  function deactivateAll() {
-    buttons.forEach(({ id }) => {
-      const b = byId[id];
-      if (b && b.classList.contains('on')) setBtnState(b, false);
+  // Stamps: built-in library plus imported / captured ones (kept for the session)
+  const stamps = [...builtinStamps()];
+  const stampSelect = document.getElementById('stampSelect');
+  const stampFile = document.getElementById('stampFile');
+  const stampCapture = document.getElementById('stampCapture');
+  const stampStatus = document.getElementById('stampStatus');
+  const renderStamps = () => {
+    stampSelect.replaceChildren(...stamps.map(st => new Option(st.name, st.id)));
+    stampSelect.value = uiState.stamp?.id ?? stamps[0].id;
+  };
+  const selectStamp = (st) => { uiState.stamp = st; renderStamps(); };
+  selectStamp(stamps[0]);
+  stampSelect.addEventListener('change', () => selectStamp(stamps.find(st => st.id === stampSelect.value)));
+  document.getElementById('stampImport').addEventListener('click', () => stampFile.click());
+  stampFile.addEventListener('change', async () => {
+    const file = stampFile.files?.[0];
+    stampFile.value = '';
+    if (!file) return;
+    try {
+      const st = await importStampFile(file);
+      stamps.push(st);
+      selectStamp(st);
+      stampStatus.textContent = `${st.name}: ${st.width}×${st.height}.`;
+    } catch (e) {
+      console.error(e);
+      stampStatus.textContent = e?.message || String(e);
+    }
+  });
+  stampCapture.addEventListener('click', () => {
+    uiState.stampCapture = !uiState.stampCapture;
+    stampCapture.classList.toggle('on', uiState.stampCapture);
+  });
+  window.addEventListener('tc:stamp-captured', (e) => {
+    const st = e.detail.stamp;
+    stamps.push(st);
+    selectStamp(st);
+    uiState.stampCapture = false;
+    stampCapture.classList.remove('on');
+    stampStatus.textContent = `${st.name}: ${st.amplitude.toFixed(1)} units of relief.`;
+  });
+  const stampNum = (id, key, min, max, d) => {
+    const el = document.getElementById(id);
+    el.addEventListener('change', () => {
+      const v = parseFloat(el.value);
+      uiState[key] = Math.max(min, Math.min(max, isNaN(v) ? d : v));
+      el.value = uiState[key];
     });
-    try { window.dispatchEvent(new CustomEvent('tc:texture-deactivate')); } catch(_) {}
-  }
+  };
+  stampNum('stampRotation', 'stampRotation', -360, 360, 0);
+  stampNum('stampScale', 'stampScale', 0.1, 8, 1);
+  stampNum('stampHeight', 'stampHeight', -10, 10, 1);
+  document.getElementById('stampBlend').addEventListener('change', (e) => { uiState.stampBlend = e.target.value; });
 
-  function wireTexBtn(id, key) {
-    const btn = byId[id];
-    if (!btn) return;
-    btn.addEventListener('click', () => {
-      const willActivate = !btn.classList.contains('on');
-      deactivateAll();
-      if (willActivate) {
-        setBtnState(btn, true);
-        try { window.dispatchEvent(new CustomEvent('tc:texture-activate', { detail: { key } })); } catch(_) {}
-      }
+  // Symmetry (sculpt + texture paint); settings live on appState.symmetry
+  const symMode = document.getElementById('symMode');
+  const symCount = document.getElementById('symCount');
+  const symCenter = document.getElementById('symCenter');
+  const symPick = document.getElementById('symPick');
+  const symStatus = document.getElementById('symStatus');
+  let disarmPick = null;
+  const stopPick = () => { disarmPick?.(); disarmPick = null; symPick.classList.remove('on'); };
+  symMode.addEventListener('change', () => {
+    appState.symmetry.mode = symMode.value;
+    symCount.disabled = symMode.value !== 'radial';
+  });
+  symCount.addEventListener('change', () => {
+    const n = parseInt(symCount.value, 10);
+    appState.symmetry.count = Math.max(2, Math.min(32, isNaN(n) ? 4 : n));
+    symCount.value = appState.symmetry.count;
+  });
+  symCenter.addEventListener('change', () => {
+    const point = symCenter.value === 'point';
+    symPick.disabled = !point;
+    if (!point) { stopPick(); appState.symmetry.center = null; return; }
+    // start from the map centre until a point is picked
+    appState.symmetry.center ??= { i: appState.config.TILES_X / 2, j: appState.config.TILES_Y / 2 };
+  });
+  symPick.addEventListener('click', () => {
+    if (disarmPick) { stopPick(); return; }
+    symPick.classList.add('on');
+    symStatus.textContent = 'Click the terrain to place the symmetry center.';
+    disarmPick = armCenterPick(appState, ({ i, j }) => {
+      disarmPick = null;
+      symPick.classList.remove('on');
+      symStatus.textContent = `Center at tile ${i.toFixed(1)}, ${j.toFixed(1)}.`;
     });
-  }
-  buttons.forEach(({ id, key }) => wireTexBtn(id, key));
+  });
+
+  // --- Textures tab --------------------------------------------------------
+  initTexturePanel(appState);
 
   // Paint radius (tiles) input → painter
   const brush = document.getElementById('tx-brush');
@@ -133,4 +490,707 @@ export function initUI(appState) {
     brush.addEventListener('change', push);
     push(); // initialize
   }
-}
\ No newline at end of file
+
+  // Tile squares / soft brush, erase
+  const txMode = document.getElementById('tx-mode');
+  const softRows = document.getElementById('tx-soft-rows');
+  txMode.addEventListener('change', () => {
+    const soft = txMode.value === 'soft';
+    appState.painter?.setBrushMode(txMode.value);
+    softRows.hidden = !soft;
+    document.getElementById('tx-tile-row').hidden = soft;
+  });
+  document.getElementById('tx-erase').addEventListener('change', (e) => appState.painter?.setErase(e.target.checked));
+  const softNum = (id, key, min, max) => {
+    const el = document.getElementById(id);
+    el.addEventListener('change', () => {
+      const v = parseFloat(el.value);
+      const n = Math.min(max, Math.max(min, isNaN(v) ? min : v));
+      el.value = String(n);
+      appState.painter?.setSoftBrush({ [key]: n });
+    });
+  };
+  softNum('tx-soft-radius', 'radius', 1, 2048);
+  softNum('tx-soft-opacity', 'opacity', 0.05, 1);
+  softNum('tx-soft-flow', 'flow', 0.01, 1);
+  document.getElementById('tx-soft-falloff').addEventListener('change', (e) => appState.painter?.setSoftBrush({ falloff: e.target.value }));
+
+  initAutoPaintPanel(appState, recorded);
+
+  // --- Project save / open --------------------------------------------------
+  const projectStatus = document.getElementById('projectStatus');
+  const projectFile = document.getElementById('projectFile');
+  const setProjectStatus = (t) => { if (projectStatus) projectStatus.textContent = t; };
+
+  document.getElementById('saveProject')?.addEventListener('click', () => {
+    try {
+      const { TILES_X, TILES_Y } = appState.config;
+      saveProject(appState, `terrain-${TILES_X}x${TILES_Y}.tcproj`);
+      setProjectStatus('Project saved.');
+    } catch (e) {
+      console.error(e);
+      setProjectStatus(e?.message || 'Save failed.');
+    }
+  });
+  document.getElementById('openProject')?.addEventListener('click', () => projectFile?.click());
+  projectFile?.addEventListener('change', async () => {
+    const file = projectFile.files?.[0];
+    projectFile.value = ''; // allow re-opening the same file
+    if (!file || uiState.jobRunning) return;
+    try {
+      await loadProjectFile(file, appState);
+      setProjectStatus(`Opened ${file.name}.`);
+    } catch (e) {
+      console.error(e);
+      setProjectStatus(e?.message || 'Open failed.');
+    }
+  });
+
+  // --- Export ---------------------------------------------------------------
+  const exportStatus = document.getElementById('exportStatus');
+  const exportGlbBtn = document.getElementById('exportGlb');
+  exportGlbBtn?.addEventListener('click', async () => {
+    exportGlbBtn.disabled = true;
+    exportStatus.textContent = 'Exporting…';
+    try {
+      await downloadGLB(appState, {
+        texelsPerTile: parseInt(document.getElementById('glbTexels').value, 10) || 64,
+        trees: document.getElementById('glbTrees').checked,
+        marker: document.getElementById('glbMarker').checked,
+      });
+      exportStatus.textContent = 'GLB exported.';
+    } catch (e) {
+      console.error(e);
+      exportStatus.textContent = e?.message || 'GLB export failed.';
+    } finally {
+      exportGlbBtn.disabled = false;
+    }
+  });
+
+  const engineStatus = document.getElementById('engineStatus');
+  const exportEngineBtn = document.getElementById('exportEngine');
+  exportEngineBtn?.addEventListener('click', async () => {
+    exportEngineBtn.disabled = true;
+    engineStatus.textContent = 'Exporting…';
+    try {
+      const files = await downloadEngineMaps(appState, {
+        size: parseInt(document.getElementById('engSize').value, 10) || 0,
+        formats: document.getElementById('engFormat').value.split(','),
+        range: document.getElementById('engRange').value,
+      });
+      engineStatus.textContent = `Exported ${files.map(f => f.name).join(', ')}.`;
+    } catch (e) {
+      console.error(e);
+      engineStatus.textContent = e?.message || 'Map export failed.';
+    } finally {
+      exportEngineBtn.disabled = false;
+    }
+  });
+
+  // Roads (Objects tab)
+  let roadId = null;
+  const road = () => appState.roads.find(r => r.id === roadId) || null;
+  const roadSelect = document.getElementById('roadSelect');
+  const roadEdit = document.getElementById('roadEdit');
+  const roadWidth = document.getElementById('roadWidth');
+  const roadShoulder = document.getElementById('roadShoulder');
+  const roadTexture = document.getElementById('roadTexture');
+  const roadStatus = document.getElementById('roadStatus');
+  const renderRoadTextures = () => {
+    const v = roadTexture.value;
+    roadTexture.replaceChildren(new Option('None', ''), ...appState.textureLayers.map(l => new Option(l.name, l.key)));
+    roadTexture.value = v;
+  };
+  renderRoadTextures();
+  roadTexture.value = 'dryground';
+  window.addEventListener('tc:texture-layers', () => { renderRoadTextures(); renderRoads(); });
+  const renderRoads = () => {
+    if (!road()) roadId = appState.roads[0]?.id ?? null;
+    roadSelect.replaceChildren(...appState.roads.map(r => new Option(`${r.name} (${r.points.length} pts)`, r.id)));
+    roadSelect.value = roadId ?? '';
+    const r = road();
+    if (r) {
+      roadWidth.value = r.width;
+      roadShoulder.value = r.shoulder;
+      roadTexture.value = r.texture;
+    }
+    appState.roadEditor?.refresh();
+  };
+  // an applied road follows its edits
+  const reapply = (r) => {
+    if (uiState.jobRunning) return;
+    try {
+      if (r.base && r.points.length >= 2) applyRoad(appState, r);
+      else if (r.base) removeRoadFromTerrain(appState, r);
+    } catch (e) {
+      console.error(e);
+      roadStatus.textContent = e?.message || String(e);
+    }
+  };
+  appState.roadEditor = initRoadEditor(appState, {
+    getRoad: road,
+    isLocked: () => uiState.jobRunning,
+    onChange: (r) => { reapply(r); renderRoads(); },
+  });
+  roadSelect.addEventListener('change', () => { roadId = parseInt(roadSelect.value, 10); renderRoads(); });
+  document.getElementById('roadNew').addEventListener('click', () => {
+    const r = makeRoad({
+      width: parseFloat(roadWidth.value) || 24,
+      shoulder: parseFloat(roadShoulder.value) || 0,
+      texture: roadTexture.value,
+    });
+    appState.roads.push(r);
+    roadId = r.id;
+    renderRoads();
+    if (!roadEdit.checked) { roadEdit.checked = true; roadEdit.dispatchEvent(new Event('change')); }
+  });
+  roadEdit.addEventListener('change', () => {
+    appState.roadEditor.setEnabled(roadEdit.checked);
+    // the editor owns clicks on the map while it is on
+    appState.controls.enabled = !roadEdit.checked && !uiState.sculptOn;
+  });
+  const roadNum = (el, key, min, d) => el.addEventListener('change', () => {
+    const r = road();
+    const v = parseFloat(el.value);
+    const n = Math.max(min, Math.min(512, isNaN(v) ? d : v));
+    el.value = n;
+    if (!r) return;
+    r[key] = n;
+    reapply(r);
+  });
+  roadNum(roadWidth, 'width', 2, 24);
+  roadNum(roadShoulder, 'shoulder', 0, 32);
+  roadTexture.addEventListener('change', () => {
+    const r = road();
+    if (!r) return;
+    r.texture = roadTexture.value;
+    reapply(r);
+  });
+  document.getElementById('roadApply').addEventListener('click', () => {
+    const r = road();
+    if (!r || uiState.jobRunning) return;
+    try {
+      applyRoad(appState, r);
+      roadStatus.textContent = `${r.name} applied.`;
+    } catch (e) {
+      console.error(e);
+      roadStatus.textContent = e?.message || String(e);
+    }
+  });
+  document.getElementById('roadRemove').addEventListener('click', () => {
+    const r = road();
+    if (r && !uiState.jobRunning) removeRoadFromTerrain(appState, r);
+  });
+  document.getElementById('roadDelete').addEventListener('click', () => {
+    const r = road();
+    if (!r || uiState.jobRunning) return;
+    deleteRoad(appState, r);
+    renderRoads();
+  });
+  window.addEventListener('tc:project-loaded', renderRoads);
+  // undoing a delete brings the road back
+  window.addEventListener('tc:history', renderRoads);
+  renderRoads();
+
+  // Keep the size inputs in sync with whatever was loaded
+  window.addEventListener('tc:project-loaded', () => {
+    tilesX.value = String(appState.config.TILES_X);
+    tilesY.value = String(appState.config.TILES_Y);
+    seedInput.value = String(appState.config.SEED ?? 0);
+  });
+
+  // Undo / redo (buttons, Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y, memory budget)
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const undoBudget = document.getElementById('undoBudget');
+  const undoStatus = document.getElementById('undoStatus');
+  const undo = () => { if (!activeJobBtn) history?.undo(); };
+  const redo = () => { if (!activeJobBtn) history?.redo(); };
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+  window.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const t = e.target;
+    if (t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || '')) return;
+    const k = e.key.toLowerCase();
+    if (k === 'z') { e.preventDefault(); if (e.shiftKey) redo(); else undo(); }
+    else if (k === 'y') { e.preventDefault(); redo(); }
+  });
+  undoBudget.addEventListener('change', () => {
+    const mb = Math.min(2048, Math.max(8, parseInt(undoBudget.value, 10) || 64));
+    undoBudget.value = String(mb);
+    history?.setBudgetMB(mb);
+  });
+  let historyTiles = { x: appState.config.TILES_X, y: appState.config.TILES_Y };
+  window.addEventListener('tc:history', (e) => {
+    const d = e.detail || {};
+    undoBtn.disabled = !d.canUndo;
+    redoBtn.disabled = !d.canRedo;
+    undoBtn.title = d.canUndo ? `Undo ${d.undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoBtn.title = d.canRedo ? `Redo ${d.redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    undoStatus.textContent = `History uses ${((history?.usedBytes() || 0) / 1048576).toFixed(1)} MB. Oldest steps are dropped beyond the limit; opening a project clears it.`;
+    // undoing a resize/generate changes the map size; other steps leave typed
+    // (not yet applied) sizes alone
+    const { TILES_X, TILES_Y } = appState.config;
+    if (TILES_X !== historyTiles.x || TILES_Y !== historyTiles.y) {
+      tilesX.value = String(TILES_X);
+      tilesY.value = String(TILES_Y);
+    }
+    historyTiles = { x: TILES_X, y: TILES_Y };
+  });
+}
+// --- Layer stack panel (Terrain tab) -----------------------------------------
+function initLayerStackPanel(appState, runJob) {
+  const list = document.getElementById('layerList');
+  if (!list) return;
+
+  const opts = (values, sel) => values.map(v => `<option value="${v}"${v === sel ? ' selected' : ''}>${v}</option>`).join('');
+
+  function render() {
+    const layers = appState.layerStack || [];
+    list.innerHTML = layers.map((l, idx) => {
+      const earlier = layers.slice(0, idx);
+      // a mask that isn't an earlier layer (moved / deleted) adds unmasked
+      const lost = !earlier.some(m => m.id === l.mask);
+      const maskChoices = (lost ? '<option value="" selected>(none: adds unmasked)</option>' : '')
+        + earlier.map(m => `<option value="${m.id}"${m.id === l.mask ? ' selected' : ''}>#${m.id} ${m.generator}</option>`).join('');
+      return `
+      <div class="layer-card${l.enabled ? '' : ' off'}" data-id="${l.id}">
+        <div class="row row-split">
+          <label class="switch" title="Enabled">
+            <input type="checkbox" data-k="enabled"${l.enabled ? ' checked' : ''}>
+            <span class="slider"></span>
+          </label>
+          <select data-k="generator" aria-label="Generator">${opts(GENERATORS, l.generator)}</select>
+          <select data-k="mode" aria-label="Blend mode">${opts(BLEND_MODES, l.mode)}</select>
+          <div class="input-pair">
+            <button class="btn icon" data-act="up" aria-label="Move up">↑</button>
+            <button class="btn icon" data-act="down" aria-label="Move down">↓</button>
+            <button class="btn icon" data-act="del" aria-label="Remove layer">×</button>
+          </div>
+        </div>
+        <div class="row row-split">
+          <label>Freq / octaves</label>
+          <div class="input-pair">
+            <input type="number" data-k="frequency" min="0.1" max="64" step="0.1" inputmode="decimal">
+            <input type="number" data-k="octaves" min="1" max="10" step="1" inputmode="numeric">
+          </div>
+        </div>
+        <div class="row row-split">
+          <label>Amplitude / offset</label>
+          <div class="input-pair">
+            <input type="number" data-k="amplitude" step="1" inputmode="decimal">
+            <input type="number" data-k="offset" step="1" inputmode="decimal">
+          </div>
+        </div>
+        ${l.mode === 'mask' ? `
+        <div class="row row-split">
+          <label>Mask by layer</label>
+          <select data-k="mask"${lost ? ' class="warn"' : ''}>${maskChoices}</select>
+        </div>` : ''}
+      </div>`;
+    }).join('');
+    // numbers as properties, never as markup
+    list.querySelectorAll('.layer-card').forEach((card, idx) => {
+      card.querySelectorAll('input[type="number"]').forEach((el) => { el.value = String(layers[idx][el.dataset.k]); });
+    });
+  }
+
+  const find = (el) => {
+    const card = el.closest('.layer-card');
+    const id = card ? parseInt(card.dataset.id, 10) : NaN;
+    const layers = appState.layerStack || [];
+    const idx = layers.findIndex(l => l.id === id);
+    return { layers, idx, layer: layers[idx] };
+  };
+
+  list.addEventListener('change', (e) => {
+    const k = e.target.dataset.k;
+    const { layers, idx, layer } = find(e.target);
+    if (!k || !layer) return;
+    if (k === 'enabled') layer.enabled = e.target.checked;
+    else if (k === 'generator') layer.generator = e.target.value;
+    else if (k === 'mode') {
+      layer.mode = e.target.value;
+      // default the mask to the layer right above
+      if (layer.mode === 'mask' && layer.mask == null) layer.mask = layers[idx - 1]?.id ?? null;
+    }
+    else if (k === 'mask') layer.mask = parseInt(e.target.value, 10) || null;
+    else {
+      const v = parseFloat(e.target.value);
+      if (!isNaN(v)) {
+        if (k === 'octaves') layer[k] = Math.min(10, Math.max(1, v | 0));
+        else if (k === 'frequency') layer[k] = Math.min(64, Math.max(0.1, v));
+        else layer[k] = Math.min(1e5, Math.max(-1e5, v));
+      }
+      e.target.value = String(layer[k]);
+    }
+    if (k === 'mode' || k === 'enabled' || k === 'mask') render();
+  });
+
+  list.addEventListener('click', (e) => {
+    const act = e.target.dataset.act;
+    if (!act) return;
+    const { layers, idx } = find(e.target);
+    if (idx < 0) return;
+    if (act === 'del') layers.splice(idx, 1);
+    else {
+      const j = act === 'up' ? idx - 1 : idx + 1;
+      if (j < 0 || j >= layers.length) return;
+      [layers[idx], layers[j]] = [layers[j], layers[idx]];
+    }
+    render();
+  });
+
+  document.getElementById('layerAdd').addEventListener('click', () => {
+    if (!appState.layerStack) appState.layerStack = [];
+    appState.layerStack.push(makeLayer({ amplitude: 40, offset: 0, frequency: 8, octaves: 4 }));
+    render();
+  });
+  const applyBtn = document.getElementById('layerApply');
+  const layerProgress = document.getElementById('layerProgress');
+  applyBtn.addEventListener('click', () => runJob(applyBtn, layerProgress, 'Layer stack', p => applyLayerStack(appState, p)));
+
+  window.addEventListener('tc:project-loaded', render);
+  render();
+}
+
+// --- Auto paint rules (Textures tab) -------------------------------------------
+const OPEN_RANGE = 1e4; // matches autopaint.js: "no limit"
+
+function initAutoPaintPanel(appState, recorded) {
+  const list = document.getElementById('autoRules');
+  if (!list) return;
+  const keep = document.getElementById('autoKeep');
+  const status = document.getElementById('autoStatus');
+
+  // texture names are user text, so options are built as nodes after render()
+  const fillKeys = (select, sel) => {
+    const layers = appState.textureLayers || [];
+    select.replaceChildren(...layers.map(l => new Option(l.name, l.key)));
+    if (!layerByKey(appState, sel)) select.add(new Option('(removed texture)', sel));
+    select.value = sel;
+  };
+  const end = v => (Math.abs(v) >= OPEN_RANGE ? '' : String(v));
+  const rangeRow = (label, k, r, step) => `
+        <div class="row row-split">
+          <label>${label}</label>
+          <div class="input-pair">
+            <input type="number" data-k="${k}" data-end="0" step="${step}" value="${end(r[k][0])}" placeholder="any" inputmode="decimal" aria-label="${label} min">
+            <input type="number" data-k="${k}" data-end="1" step="${step}" value="${end(r[k][1])}" placeholder="any" inputmode="decimal" aria-label="${label} max">
+            <input type="number" data-k="${k}Soft" min="0" step="${step}" value="${r[`${k}Soft`]}" inputmode="decimal" aria-label="${label} soft">
+          </div>
+        </div>`;
+
+  function render() {
+    const rules = appState.autoPaint?.rules || [];
+    keep.checked = !!appState.autoPaint?.keepHandPaint;
+    list.innerHTML = rules.map((r, idx) => `
+      <div class="layer-card${r.enabled ? '' : ' off'}" data-idx="${idx}">
+        <div class="row row-split">
+          <label class="switch" title="Enabled">
+            <input type="checkbox" data-k="enabled"${r.enabled ? ' checked' : ''}>
+            <span class="slider"></span>
+          </label>
+          <select data-k="key" aria-label="Texture"></select>
+          <div class="input-pair">
+            <button class="btn icon" data-act="up" aria-label="Move up">↑</button>
+            <button class="btn icon" data-act="down" aria-label="Move down">↓</button>
+            <button class="btn icon" data-act="del" aria-label="Remove rule">×</button>
+          </div>
+        </div>
+        ${rangeRow('Height min / max / soft', 'height', r, 1)}
+        <div class="row">
+          <label>Height relative to sea level</label>
+          <input type="checkbox" data-k="seaRelative"${r.seaRelative ? ' checked' : ''}>
+        </div>
+        ${rangeRow('Slope ° min / max / soft', 'slope', r, 1)}
+        ${rangeRow('Curvature min / max / soft', 'curvature', r, 0.01)}
+        <div class="row row-split">
+          <label>Noise / scale / strength</label>
+          <div class="input-pair">
+            <input type="number" data-k="noise" min="0" max="1" step="0.05" value="${r.noise}" inputmode="decimal" aria-label="Noise amount">
+            <input type="number" data-k="noiseScale" min="1" step="8" value="${r.noiseScale}" inputmode="decimal" aria-label="Noise scale (world units)">
+            <input type="number" data-k="strength" min="0" max="1" step="0.05" value="${r.strength}" inputmode="decimal" aria-label="Strength">
+          </div>
+        </div>
+      </div>`).join('');
+    list.querySelectorAll('select[data-k="key"]').forEach((sel, k) => fillKeys(sel, rules[k].key));
+  }
+
+  const find = (el) => {
+    const card = el.closest('.layer-card');
+    const rules = appState.autoPaint?.rules || [];
+    const idx = card ? parseInt(card.dataset.idx, 10) : -1;
+    return { rules, idx, rule: rules[idx] };
+  };
+
+  const LIMITS = {
+    heightSoft: [0, 1000], slopeSoft: [0, 45], curvatureSoft: [0, 10],
+    noise: [0, 1], noiseScale: [1, 1e5], strength: [0, 1],
+  };
+  list.addEventListener('change', (e) => {
+    const t = e.target;
+    const k = t.dataset.k;
+    const { rule } = find(t);
+    if (!k || !rule) return;
+    if (k === 'enabled' || k === 'seaRelative') {
+      rule[k] = t.checked;
+      if (k === 'enabled') render();
+    } else if (k === 'key') rule.key = t.value;
+    else if (t.dataset.end != null) {
+      // empty = open end of the range
+      const e1 = +t.dataset.end;
+      const v = parseFloat(t.value);
+      if (k === 'slope') rule.slope[e1] = isNaN(v) ? (e1 ? 90 : 0) : Math.min(90, Math.max(0, v));
+      else rule[k][e1] = isNaN(v) ? (e1 ? OPEN_RANGE : -OPEN_RANGE) : v;
+      t.value = end(rule[k][e1]);
+    } else {
+      const v = parseFloat(t.value);
+      const [lo, hi] = LIMITS[k];
+      if (!isNaN(v)) rule[k] = Math.min(hi, Math.max(lo, v));
+      t.value = String(rule[k]);
+    }
+  });
+
+  list.addEventListener('click', (e) => {
+    const act = e.target.dataset.act;
+    if (!act) return;
+    const { rules, idx } = find(e.target);
+    if (idx < 0) return;
+    if (act === 'del') rules.splice(idx, 1);
+    else {
+      const j = act === 'up' ? idx - 1 : idx + 1;
+      if (j < 0 || j >= rules.length) return;
+      [rules[idx], rules[j]] = [rules[j], rules[idx]];
+    }
+    render();
+  });
+
+  document.getElementById('autoAdd').addEventListener('click', () => {
+    const layers = appState.textureLayers || [];
+    appState.autoPaint.rules.push(makeRule({ key: (layers[1] || layers[0])?.key, height: [0, OPEN_RANGE] }));
+    render();
+  });
+  keep.addEventListener('change', () => { appState.autoPaint.keepHandPaint = keep.checked; });
+
+  document.getElementById('autoRun').addEventListener('click', async () => {
+    try {
+      let n = 0;
+      await recorded('Auto paint', { masks: true }, () => { n = applyAutoPaint(appState); });
+      status.textContent = `Painted ${n.toLocaleString()} vertices.`;
+    } catch (e) {
+      console.error(e);
+      status.textContent = e?.message || String(e);
+    }
+  });
+  document.getElementById('autoUnlock').addEventListener('click', async () => {
+    try {
+      await recorded('Release hand paint', { masks: true }, () => appState.painter?.clearLocks());
+      status.textContent = 'Hand paint released; the next auto paint covers the whole map.';
+    } catch (e) {
+      console.error(e);
+      status.textContent = e?.message || String(e);
+    }
+  });
+
+  window.addEventListener('tc:project-loaded', render);
+  window.addEventListener('tc:texture-layers', render);
+  render();
+}
+
+// --- Texture layers (Textures tab) -------------------------------------------
+// Slots rendered from appState.textureLayers. Changes to the list are announced
+// with 'tc:texture-layers' so the road / auto paint texture pickers follow.
+const MAP_LABELS = { diffuse: 'Color', roughness: 'Rough', normal: 'Normal' };
+
+function initTexturePanel(appState) {
+  const grid = document.getElementById('texSlots');
+  if (!grid) return;
+  const addBtn = document.getElementById('texAdd');
+  const fileInput = document.getElementById('texFile');
+  const status = document.getElementById('texStatus');
+  const hint = status.textContent;
+  const previews = new Map(); // image bytes -> object URL
+  let activeKey = null;
+  let pending = null; // { key, kind } waiting for the file picker
+
+  const changed = () => {
+    appState.painter?.refreshLayers().then(() => { status.textContent = hint; }, (e) => {
+      console.error(e);
+      status.textContent = e?.message || String(e);
+    });
+    try { window.dispatchEvent(new CustomEvent('tc:texture-layers')); } catch(_) {}
+  };
+
+  const previewSrc = (map) => {
+    if (map?.url) return isTextureUrl(map.url) ? map.url : '';
+    if (!map?.bytes) return '';
+    if (!previews.has(map.bytes)) previews.set(map.bytes, URL.createObjectURL(new Blob([map.bytes], { type: map.type })));
+    return previews.get(map.bytes);
+  };
+  // free the previews of maps that were replaced, removed or loaded over
+  const prunePreviews = () => {
+    const used = new Set((appState.textureLayers || []).map(l => l.maps.diffuse?.bytes));
+    previews.forEach((url, bytes) => {
+      if (used.has(bytes)) return;
+      URL.revokeObjectURL(url);
+      previews.delete(bytes);
+    });
+  };
+
+  function render() {
+    const layers = appState.textureLayers || [];
+    if (activeKey && !layerByKey(appState, activeKey)) setActive(null);
+    grid.innerHTML = layers.map((l) => {
+      const src = previewSrc(l.maps.diffuse);
+      const on = l.key === activeKey;
+      return `
+      <div class="texslot" data-key="${l.key}">
+        <div class="teximg${src ? '' : ' placeholder'}"></div>
+        <div class="row row-split">
+          <input type="text" data-k="name" maxlength="40" aria-label="Texture name">
+          <button class="btn${on ? ' on' : ''}" data-act="use">${on ? 'Active' : 'Use'}</button>
+        </div>
+        <div class="row row-split">
+          <label>Size</label>
+          <input type="number" data-k="size" min="1" max="4096" step="4" inputmode="decimal" aria-label="World units per repeat">
+        </div>
+        <div class="row row-split">
+          <label>Load</label>
+          <div class="input-pair">
+            ${MAP_KINDS.map(k => `<button class="btn${l.maps[k] ? ' on' : ''}" data-load="${k}">${MAP_LABELS[k]}</button>`).join('')}
+          </div>
+        </div>
+        <div class="input-pair">
+          <button class="btn icon" data-act="up" aria-label="Move up">↑</button>
+          <button class="btn icon" data-act="down" aria-label="Move down">↓</button>
+          <button class="btn icon" data-act="del" aria-label="Remove texture">×</button>
+        </div>
+      </div>`;
+    }).join('');
+    // names and image URLs come from project files: set as properties, not markup
+    grid.querySelectorAll('.texslot').forEach((card, k) => {
+      card.querySelector('[data-k="name"]').value = layers[k].name;
+      card.querySelector('[data-k="size"]').value = String(layers[k].size);
+      const src = previewSrc(layers[k].maps.diffuse);
+      if (!src) return;
+      const img = document.createElement('img');
+      img.alt = '';
+      img.src = src;
+      card.querySelector('.teximg').appendChild(img);
+    });
+    prunePreviews();
+    addBtn.disabled = layers.length >= MAX_TEXTURE_LAYERS;
+  }
+
+  function setActive(key) {
+    activeKey = key;
+    try {
+      if (key) window.dispatchEvent(new CustomEvent('tc:texture-activate', { detail: { key } }));
+      else window.dispatchEvent(new CustomEvent('tc:texture-deactivate'));
+    } catch(_) {}
+  }
+
+  const find = (el) => {
+    const card = el.closest('.texslot');
+    return card ? layerByKey(appState, card.dataset.key) : null;
+  };
+
+  grid.addEventListener('change', (e) => {
+    const k = e.target.dataset.k;
+    const layer = find(e.target);
+    if (!k || !layer) return;
+    if (k === 'name') {
+      layer.name = e.target.value.trim() || layer.name;
+      e.target.value = layer.name;
+    } else {
+      const v = parseFloat(e.target.value);
+      if (!isNaN(v)) layer.size = Math.min(4096, Math.max(1, v));
+      e.target.value = String(layer.size);
+    }
+    changed();
+  });
+
+  grid.addEventListener('click', (e) => {
+    const layer = find(e.target);
+    if (!layer) return;
+    const { act, load } = e.target.dataset;
+    if (load) {
+      pending = { key: layer.key, kind: load };
+      fileInput.value = '';
+      fileInput.click();
+      return;
+    }
+    if (act === 'use') setActive(layer.key === activeKey ? null : layer.key);
+    else if (act === 'up' || act === 'down') {
+      if (!moveTextureLayer(appState, layer.key, act === 'up' ? -1 : 1)) return;
+    } else if (act === 'del') {
+      if (appState.textureLayers.length <= 1) {
+        status.textContent = 'Keep at least one texture.';
+        return;
+      }
+      if (!confirm(`Remove “${layer.name}”? Its paint goes to the base texture. This clears undo history.`)) return;
+      removeTextureLayer(appState, layer.key);
+      // recorded steps may still refer to the freed slot
+      appState.history?.clear();
+    } else return;
+    render();
+    changed();
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    const layer = pending && layerByKey(appState, pending.key);
+    if (!file || !layer) return;
+    const { kind } = pending;
+    try {
+      layer.maps[kind] = { type: file.type, bytes: new Uint8Array(await file.arrayBuffer()) };
+    } catch (e) {
+      console.error(e);
+      status.textContent = e?.message || 'Could not read the image.';
+      return;
+    }
+    render();
+    changed();
+  });
+
+  // Projection (triplanar / hex tiling), shared by every layer
+  const triplanar = document.getElementById('texTriplanar');
+  const sharpness = document.getElementById('texSharpness');
+  const hexTiling = document.getElementById('texHex');
+  const renderOptions = () => {
+    const o = appState.textureOptions;
+    triplanar.checked = o.triplanar;
+    sharpness.value = String(o.sharpness);
+    sharpness.disabled = !o.triplanar;
+    hexTiling.checked = o.hexTiling;
+  };
+  triplanar.addEventListener('change', () => { appState.textureOptions.triplanar = triplanar.checked; renderOptions(); changed(); });
+  hexTiling.addEventListener('change', () => { appState.textureOptions.hexTiling = hexTiling.checked; changed(); });
+  sharpness.addEventListener('change', () => {
+    const v = parseFloat(sharpness.value);
+    if (!isNaN(v)) appState.textureOptions.sharpness = Math.min(16, Math.max(1, v));
+    renderOptions();
+    changed();
+  });
+
+  addBtn.addEventListener('click', () => {
+    try {
+      addTextureLayer(appState);
+      render();
+      changed();
+    } catch (e) {
+      status.textContent = e?.message || String(e);
+    }
+  });
+
+  window.addEventListener('tc:project-loaded', () => {
+    setActive(null);
+    render();
+    renderOptions();
+    try { window.dispatchEvent(new CustomEvent('tc:texture-layers')); } catch(_) {}
+  });
+  render();
+  renderOptions();
+}
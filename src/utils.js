@@ -29,3 +29,35 @@ export function dispose(obj) {
     }
     if (obj.parent) obj.parent.remove(obj);
 }
+
+// Trigger a browser download for an in-memory Blob (no server round-trip).
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Bilinear resample of a corner-aligned grid (sw×sh values) to dw×dh.
+// With centers = true the destination samples texel centers instead of corners.
+export function resampleGrid(src, sw, sh, dw, dh, centers = false) {
+    const out = new Float32Array(dw * dh);
+    for (let y = 0; y < dh; y++) {
+        const v = centers ? (y + 0.5) / dh : (dh > 1 ? y / (dh - 1) : 0);
+        const gy = v * (sh - 1);
+        const y0 = Math.min(sh - 1, Math.floor(gy)), y1 = Math.min(sh - 1, y0 + 1), fy = gy - y0;
+        for (let x = 0; x < dw; x++) {
+            const u = centers ? (x + 0.5) / dw : (dw > 1 ? x / (dw - 1) : 0);
+            const gx = u * (sw - 1);
+            const x0 = Math.min(sw - 1, Math.floor(gx)), x1 = Math.min(sw - 1, x0 + 1), fx = gx - x0;
+            const a = src[y0 * sw + x0], b = src[y0 * sw + x1];
+            const c = src[y1 * sw + x0], d = src[y1 * sw + x1];
+            out[y * dw + x] = (a * (1 - fx) + b * fx) * (1 - fy) + (c * (1 - fx) + d * fx) * fy;
+        }
+    }
+    return out;
+}
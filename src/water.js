@@ -0,0 +1,338 @@
+// file: src/water.js
+// Water: a global sea level plus local lakes flood-filled from a clicked point.
+// Settings live on appState.water and are saved with the project:
+//   { enabled, level, walkOnWater, lakes: [{ seed: [i, j] (tile units), level }] }
+// Surfaces are flat planes at their level; depth colour and shoreline foam come
+// from a texture of terrain heights, so the shore follows sculpting (refreshed
+// after each edit, not per dab).
+
+import * as THREE from 'three';
+import { sampleHeight } from './sculpt.js';
+
+const DEEP_AT = 40;       // depth (world units) that renders fully deep
+const FOAM_WIDTH = 3;     // depth band that shows shoreline foam
+const SURFACE_LIFT = 0.05;
+
+export function defaultWater() {
+  return { enabled: false, level: -20, walkOnWater: false, lakes: [] };
+}
+
+// Validate water settings read from a project manifest
+export function normalizeWater(w) {
+  const out = defaultWater();
+  if (!w || typeof w !== 'object') return out;
+  if (typeof w.enabled === 'boolean') out.enabled = w.enabled;
+  if (Number.isFinite(w.level)) out.level = w.level;
+  if (typeof w.walkOnWater === 'boolean') out.walkOnWater = w.walkOnWater;
+  if (Array.isArray(w.lakes)) {
+    out.lakes = w.lakes
+      .filter(l => Array.isArray(l?.seed) && Number.isFinite(l.seed[0]) && Number.isFinite(l.seed[1]) && Number.isFinite(l.level))
+      .map(l => ({ seed: [l.seed[0], l.seed[1]], level: l.level }));
+  }
+  return out;
+}
+
+// Manifest form of the water settings
+export function serializeWater(w) {
+  return { enabled: w.enabled, level: w.level, walkOnWater: w.walkOnWater, lakes: w.lakes.map(({ seed, level }) => ({ seed, level })) };
+}
+
+// ---------- lakes ----------
+/**
+ * Vertices connected (4-way) to the seed vertex that lie below `level`.
+ * Returns { mask: Uint8Array per vertex, count, rect } or null when the seed is dry.
+ */
+function floodFill(geom, seed, level) {
+  const { widthSegments, heightSegments } = geom.parameters;
+  const vpr = widthSegments + 1;
+  const pos = geom.attributes.position.array;
+  const h = i => pos[i * 3 + 1];
+  if (!(h(seed) < level)) return null;
+
+  const mask = new Uint8Array(pos.length / 3);
+  const stack = [seed];
+  mask[seed] = 1;
+  let count = 0, c0 = Infinity, r0 = Infinity, c1 = -1, r1 = -1;
+  while (stack.length) {
+    const i = stack.pop();
+    count++;
+    const c = i % vpr, r = (i - c) / vpr;
+    c0 = Math.min(c0, c); c1 = Math.max(c1, c);
+    r0 = Math.min(r0, r); r1 = Math.max(r1, r);
+    const next = [c > 0 && i - 1, c < widthSegments && i + 1, r > 0 && i - vpr, r < heightSegments && i + vpr];
+    for (const n of next) {
+      if (n === false || mask[n] || !(h(n) < level)) continue;
+      mask[n] = 1;
+      stack.push(n);
+    }
+  }
+  return { mask, count, rect: { c0, r0, c1, r1 } };
+}
+
+function seedVertex(appState, [i, j]) {
+  const { widthSegments, heightSegments } = appState.terrainMesh.geometry.parameters;
+  const c = Math.min(widthSegments, Math.max(0, Math.round(i * widthSegments / appState.config.TILES_X)));
+  const r = Math.min(heightSegments, Math.max(0, Math.round(j * heightSegments / appState.config.TILES_Y)));
+  return r * (widthSegments + 1) + c;
+}
+
+function lakeRegion(appState, lake) {
+  return floodFill(appState.terrainMesh.geometry, seedVertex(appState, lake.seed), lake.level);
+}
+
+// Flooded region per lake, filled by initWater's rebuild() so queries don't flood fill
+const lakeRegions = new WeakMap();
+
+/**
+ * Add a lake at LOCAL x/z whose surface sits `depth` above the ground there.
+ * Throws when the lake would spill over the map edge.
+ */
+export function addLake(appState, x, z, depth) {
+  const { TILES_X, TILES_Y, TILE_SIZE } = appState.config;
+  const geom = appState.terrainMesh.geometry;
+  const lake = {
+    seed: [x / TILE_SIZE + TILES_X / 2, z / TILE_SIZE + TILES_Y / 2],
+    level: sampleHeight(geom, x, z) + Math.max(0.5, depth),
+  };
+  const region = lakeRegion(appState, lake);
+  const { widthSegments, heightSegments } = geom.parameters;
+  if (!region) throw new Error('[water] The clicked point is above the lake level.');
+  const { c0, r0, c1, r1 } = region.rect;
+  if (c0 === 0 || r0 === 0 || c1 === widthSegments || r1 === heightSegments) {
+    throw new Error('[water] That lake would spill over the map edge; try a smaller depth.');
+  }
+  appState.water.lakes.push(lake);
+  return lake;
+}
+
+/**
+ * One-shot pick: the next click on the terrain adds a lake `getDepth()` deep there.
+ * onDone(lake, error) runs after the click; returns a disarm function.
+ */
+export function armLakePick(appState, getDepth, onDone) {
+  const el = appState.renderer.domElement;
+  const ray = new THREE.Raycaster();
+  const handler = (ev) => {
+    const mesh = appState.terrainMesh;
+    if (!mesh) return;
+    const rect = el.getBoundingClientRect();
+    ray.setFromCamera({
+      x: ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+      y: -((ev.clientY - rect.top) / rect.height) * 2 + 1,
+    }, appState.camera);
+    const hit = ray.intersectObject(mesh, false)[0];
+    if (!hit) return; // keep waiting for a click on the map
+    ev.stopImmediatePropagation();
+    ev.preventDefault();
+    disarm();
+    const local = mesh.worldToLocal(hit.point.clone());
+    try { onDone?.(addLake(appState, local.x, local.z, getDepth()), null); }
+    catch (e) { onDone?.(null, e); }
+  };
+  // capture listeners on the canvas run before the sculpt / paint / orbit handlers
+  el.addEventListener('pointerdown', handler, { capture: true });
+  const disarm = () => el.removeEventListener('pointerdown', handler, { capture: true });
+  return disarm;
+}
+
+// ---------- queries ----------
+// True when LOCAL x/z is under the sea or inside a lake
+export function isSubmerged(appState, x, z) {
+  const w = appState.water;
+  const mesh = appState.terrainMesh;
+  if (!w?.enabled || !mesh) return false;
+  const geom = mesh.geometry;
+  const ground = sampleHeight(geom, x, z);
+  if (ground < w.level) return true;
+  if (!w.lakes.length) return false;
+  const { width, height, widthSegments, heightSegments } = geom.parameters;
+  const c = Math.round((x + width / 2) / width * widthSegments);
+  const r = Math.round((z + height / 2) / height * heightSegments);
+  const idx = r * (widthSegments + 1) + c;
+  return w.lakes.some(lake => lakeRegions.get(lake)?.mask[idx] === 1);
+}
+
+// ---------- rendering ----------
+const VERT = /* glsl */`
+  varying vec2 vLocal;
+  varying vec3 vWorld;
+  void main() {
+    vLocal = position.xz;
+    vec4 wp = modelMatrix * vec4(position, 1.0);
+    vWorld = wp.xyz;
+    gl_Position = projectionMatrix * viewMatrix * wp;
+  }
+`;
+
+const FRAG = /* glsl */`
+  uniform sampler2D uHeights;
+  uniform vec2 uTexSize;   // texels (vertices per row, rows)
+  uniform vec2 uMapSize;   // world width, height
+  uniform float uLevel, uTime, uDeepAt, uFoamWidth;
+  uniform vec3 uShallow, uDeep, uSunDir;
+  varying vec2 vLocal;
+  varying vec3 vWorld;
+
+  // heights are stored per vertex; filter by hand (float textures may not filter)
+  float ground(vec2 p) {
+    vec2 g = (p / uMapSize + 0.5) * (uTexSize - 1.0);
+    vec2 i = floor(g), f = g - i;
+    vec2 px = 1.0 / uTexSize;
+    vec2 uv = (i + 0.5) * px;
+    float a = texture2D(uHeights, uv).r;
+    float b = texture2D(uHeights, uv + vec2(px.x, 0.0)).r;
+    float c = texture2D(uHeights, uv + vec2(0.0, px.y)).r;
+    float d = texture2D(uHeights, uv + px).r;
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+  }
+
+  void main() {
+    float depth = uLevel - ground(vLocal);
+    if (depth <= 0.0) discard;
+
+    // a few travelling sine waves for the surface normal
+    vec2 p = vLocal * 0.06;
+    float dx = 0.6 * cos(p.x * 1.3 + p.y * 0.4 + uTime * 1.1) + 0.35 * cos(p.x * 2.9 - p.y * 1.7 + uTime * 1.7);
+    float dz = 0.6 * cos(p.y * 1.1 - p.x * 0.5 + uTime * 0.9) + 0.35 * cos(p.y * 3.1 + p.x * 1.3 - uTime * 1.5);
+    vec3 n = normalize(vec3(dx * 0.08, 1.0, dz * 0.08));
+
+    vec3 viewDir = normalize(cameraPosition - vWorld);
+    float spec = pow(max(dot(n, normalize(uSunDir + viewDir)), 0.0), 90.0);
+    float fresnel = pow(1.0 - max(dot(n, viewDir), 0.0), 4.0);
+
+    float deep = smoothstep(0.0, uDeepAt, depth);
+    vec3 col = mix(uShallow, uDeep, deep);
+    col += fresnel * 0.25 + spec * 0.8;
+
+    // shoreline foam: a band of broken stripes moving toward the shore
+    float band = 1.0 - smoothstep(0.0, uFoamWidth, depth);
+    float stripes = 0.5 + 0.5 * sin(depth * 4.0 - uTime * 2.5 + dx * 2.0);
+    float foam = band * mix(0.55, 1.0, stripes);
+    col = mix(col, vec3(0.95, 0.97, 1.0), foam);
+
+    gl_FragColor = vec4(col, max(mix(0.45, 0.9, deep), foam));
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * Water surfaces for the sea and every lake. Call update() once per frame;
+ * refresh() after the water settings change. Heights are re-read after every
+ * history step, rebuild and project load.
+ */
+export function initWater(appState) {
+  const group = new THREE.Group();
+  group.name = 'Water';
+  group.matrixAutoUpdate = false;
+  appState.scene.add(group);
+
+  const shared = {
+    uHeights: { value: null },
+    uTexSize: { value: new THREE.Vector2(1, 1) },
+    uMapSize: { value: new THREE.Vector2(1, 1) },
+    uTime: { value: 0 },
+    uDeepAt: { value: DEEP_AT },
+    uFoamWidth: { value: FOAM_WIDTH },
+    uShallow: { value: new THREE.Color(0x3fb8c4) },
+    uDeep: { value: new THREE.Color(0x0b3a5c) },
+    uSunDir: { value: new THREE.Vector3(0, 1, 0) },
+  };
+  const makeMaterial = level => new THREE.ShaderMaterial({
+    uniforms: { ...shared, uLevel: { value: level } },
+    vertexShader: VERT,
+    fragmentShader: FRAG,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  let heightTex = null;
+  let dirty = true;
+
+  function readHeights() {
+    const geom = appState.terrainMesh.geometry;
+    const { widthSegments, heightSegments, width, height } = geom.parameters;
+    const w = widthSegments + 1, h = heightSegments + 1;
+    if (!heightTex || heightTex.image.width !== w || heightTex.image.height !== h) {
+      heightTex?.dispose();
+      heightTex = new THREE.DataTexture(new Float32Array(w * h), w, h, THREE.RedFormat, THREE.FloatType);
+      heightTex.minFilter = heightTex.magFilter = THREE.NearestFilter;
+      shared.uHeights.value = heightTex;
+      shared.uTexSize.value.set(w, h);
+    }
+    shared.uMapSize.value.set(width, height);
+    const pos = geom.attributes.position.array;
+    const data = heightTex.image.data;
+    for (let i = 0; i < data.length; i++) data[i] = pos[i * 3 + 1];
+    heightTex.needsUpdate = true;
+  }
+
+  function clear() {
+    group.children.slice().forEach((m) => { group.remove(m); m.geometry.dispose(); m.material.dispose(); });
+  }
+
+  // Lake surface: every grid cell touching a flooded vertex
+  function lakeGeometry(geom, region, level) {
+    const { width, height, widthSegments } = geom.parameters;
+    const vpr = widthSegments + 1;
+    const cell = width / widthSegments;
+    const { c0, r0, c1, r1 } = region.rect;
+    const pts = [];
+    for (let r = Math.max(0, r0 - 1); r < r1 + 1; r++) {
+      for (let c = Math.max(0, c0 - 1); c < c1 + 1; c++) {
+        const i = r * vpr + c;
+        if (!(region.mask[i] || region.mask[i + 1] || region.mask[i + vpr] || region.mask[i + vpr + 1])) continue;
+        const x0 = c * cell - width / 2, z0 = r * cell - height / 2;
+        const x1 = x0 + cell, z1 = z0 + cell;
+        pts.push(x0, level, z0, x0, level, z1, x1, level, z0, x1, level, z0, x0, level, z1, x1, level, z1);
+      }
+    }
+    const g = new THREE.BufferGeometry();
+    g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pts), 3));
+    return g;
+  }
+
+  function rebuild() {
+    clear();
+    const w = appState.water;
+    const mesh = appState.terrainMesh;
+    if (!w || !mesh) return;
+    readHeights();
+    if (!w.enabled) return;
+
+    const { width, height } = mesh.geometry.parameters;
+    const sea = new THREE.PlaneGeometry(width, height, 1, 1);
+    sea.rotateX(-Math.PI / 2);
+    sea.translate(0, w.level + SURFACE_LIFT, 0);
+    group.add(new THREE.Mesh(sea, makeMaterial(w.level)));
+
+    w.lakes.forEach((lake) => {
+      lakeRegions.delete(lake);
+      if (lake.level <= w.level) return; // drowned by the sea
+      const region = lakeRegion(appState, lake);
+      if (region) lakeRegions.set(lake, region);
+      if (region) group.add(new THREE.Mesh(lakeGeometry(mesh.geometry, region, lake.level + SURFACE_LIFT), makeMaterial(lake.level)));
+    });
+    group.children.forEach((m) => { m.renderOrder = 1; });
+  }
+
+  window.addEventListener('tc:history', () => { dirty = true; });
+  window.addEventListener('tc:terrain-rebuilt', () => { dirty = true; });
+  window.addEventListener('tc:project-loaded', () => { dirty = true; });
+
+  const _sun = new THREE.Vector3();
+  function update() {
+    const mesh = appState.terrainMesh;
+    if (!mesh) return;
+    if (dirty) { dirty = false; rebuild(); }
+    group.visible = !!appState.water?.enabled;
+    if (!group.visible) return;
+    group.matrix.copy(mesh.matrixWorld);
+    group.matrixWorldNeedsUpdate = true;
+    shared.uTime.value = performance.now() / 1000;
+    const { dirLight, lightTarget } = appState;
+    if (dirLight) shared.uSunDir.value.copy(_sun.subVectors(dirLight.position, lightTarget?.position ?? _sun.set(0, 0, 0)).normalize());
+  }
+
+  return { update, refresh() { dirty = true; } };
+}